@@ -1,4 +1,6 @@
 import mongoose from 'mongoose';
+import { TRANSFER_STATUSES } from '../utils/transferLifecycle.js';
+import { timeMongoWrites } from '../utils/metrics.js';
 
 // Room Event Schema - Tracks individual room lifecycle events
 const roomEventSchema = new mongoose.Schema({
@@ -47,6 +49,17 @@ const transferSessionSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Registered with transfer-start for resumable transfers
+  manifest: {
+    chunkSize: Number,
+    files: [{
+      _id: false,
+      nameHash: String, // same hash as files[].nameHash
+      size: Number,
+      hash: String,
+      chunkCount: Number
+    }]
+  },
   totalBytes: {
     type: Number,
     default: 0
@@ -63,12 +76,81 @@ const transferSessionSchema = new mongoose.Schema({
   // Status tracking
   status: {
     type: String,
-    enum: ['initiated', 'transferring', 'paused', 'completed', 'failed', 'cancelled'],
+    enum: TRANSFER_STATUSES,
     default: 'initiated'
   },
   
+  // file-offer negotiation with the receiver
+  offer: {
+    receiverId: String,
+    offeredAt: Date,
+    respondedAt: Date,
+    outcome: {
+      type: String,
+      enum: ['pending', 'accepted', 'partial', 'declined', 'expired']
+    },
+    filesOffered: Number,
+    filesAccepted: Number,
+    bytesOffered: Number,
+    bytesAccepted: Number
+  },
+
+  // Per-file records from file-start / file-complete / file-failed
+  files: [{
+    _id: false,
+    fileId: String,
+    nameHash: String, // HMAC-SHA256 of the name keyed by sessionId; names are never stored
+    mimeType: String,
+    mimeCategory: String,
+    size: Number,
+    sizeBucket: String,
+    status: {
+      type: String,
+      enum: ['transferring', 'completed', 'failed']
+    },
+    startTime: Date,
+    endTime: Date,
+    retryCount: { type: Number, default: 0 },
+    failureReason: String
+  }],
+
+  // Sampled transfer-progress reports with throughput, oldest first
+  progressSamples: [{
+    _id: false,
+    bytesTransferred: Number,
+    percentage: Number,
+    bytesPerSecond: Number,
+    timestamp: { type: Date, default: Date.now }
+  }],
+
+  // Free-form extras (metadata.lastProgress holds the latest progress report)
+  metadata: mongoose.Schema.Types.Mixed,
+
+  // Sent through the server's relay-chunk fallback instead of a peer connection
+  relayed: {
+    type: Boolean,
+    default: false
+  },
+
   // WebRTC metrics
   iceConnectionState: String,
+  // Selected candidate pair: relay means the connection went through TURN
+  candidatePairType: {
+    type: String,
+    enum: ['host', 'srflx', 'relay']
+  },
+  // Client-reported ICE/connection state changes, oldest first
+  connectionTimeline: [{
+    _id: false,
+    userId: String,
+    peerId: String,
+    iceConnectionState: String,
+    connectionState: String,
+    localCandidateType: String,
+    remoteCandidateType: String,
+    candidatePairType: String,
+    timestamp: { type: Date, default: Date.now }
+  }],
   signalingEventsCount: {
     offers: { type: Number, default: 0 },
     answers: { type: Number, default: 0 },
@@ -80,6 +162,7 @@ const transferSessionSchema = new mongoose.Schema({
 
 // Daily Statistics Schema - Aggregated daily metrics
 const dailyStatsSchema = new mongoose.Schema({
+  // Midnight in ANALYTICS_TIMEZONE
   date: {
     type: Date,
     required: true,
@@ -124,6 +207,38 @@ const dailyStatsSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Subset of the above that went through the server relay
+  relayedTransfers: {
+    type: Number,
+    default: 0
+  },
+  relayedBytesTransferred: {
+    type: Number,
+    default: 0
+  },
+  // Subset delivered later through a store-and-forward drop
+  asyncTransfers: {
+    type: Number,
+    default: 0
+  },
+  asyncBytesTransferred: {
+    type: Number,
+    default: 0
+  },
+
+  // Room messages; snippets are text sent in place of a file
+  roomMessages: {
+    type: Number,
+    default: 0
+  },
+  textSnippets: {
+    type: Number,
+    default: 0
+  },
+  textSnippetBytes: {
+    type: Number,
+    default: 0
+  },
   
   // Connection quality
   averageSessionDuration: {
@@ -131,7 +246,8 @@ const dailyStatsSchema = new mongoose.Schema({
     default: 0
   },
   
-  // Hourly breakdown
+  // Hourly breakdown; hour N is the wall-clock hour N (0-23) of the day in
+  // ANALYTICS_TIMEZONE, so DST days have a missing or a doubled hour
   hourlyBreakdown: [{
     hour: Number,
     connections: Number,
@@ -148,7 +264,7 @@ const errorLogSchema = new mongoose.Schema({
   userId: String,
   errorType: {
     type: String,
-    enum: ['room_full', 'room_not_found', 'connection_failed', 'transfer_failed', 'other'],
+    enum: ['room_full', 'room_not_found', 'room_auth_failed', 'validation_failed', 'unauthorized_signal', 'connection_failed', 'transfer_failed', 'other'],
     required: true
   },
   errorMessage: String,
@@ -165,6 +281,15 @@ roomEventSchema.index({ timestamp: -1, eventType: 1 });
 transferSessionSchema.index({ startTime: -1, status: 1 });
 dailyStatsSchema.index({ date: -1 });
 errorLogSchema.index({ timestamp: -1, errorType: 1 });
+// Sort keys of the paged exports (time, then _id as a tie-breaker)
+roomEventSchema.index({ timestamp: 1, _id: 1 });
+transferSessionSchema.index({ startTime: 1, _id: 1 });
+errorLogSchema.index({ timestamp: 1, _id: 1 });
+
+// Write latency for /metrics
+for (const schema of [roomEventSchema, transferSessionSchema, dailyStatsSchema, errorLogSchema]) {
+  schema.plugin(timeMongoWrites);
+}
 
 // Models
 export const RoomEvent = mongoose.model('RoomEvent', roomEventSchema);
@@ -1,5 +1,7 @@
 import express from "express";
 import http from "http";
+import crypto from "crypto";
+import { pipeline } from "stream/promises";
 import { Server } from "socket.io";
 import mongoose from "mongoose";
 import cors from "cors";
@@ -8,18 +10,75 @@ import {
   trackRoomCreated,
   trackRoomJoined,
   trackUserLeft,
+  trackRoomClosed,
   trackSignalingEvent,
   logError,
   getAnalyticsSummary,
-  recordDataTransferred
+  recordDataTransferred,
+  recordConnectionState,
+  getTransferProgress,
+  abandonRoomSessions,
+  recordFileOffer,
+  recordFileOfferOutcome,
+  recordRoomMessage,
+  transitionTransferSession,
+  isForeignSession
 } from "./utils/analytics.js";
 import {
   handleTransferStart,
   handleTransferComplete,
   handleTransferPaused,
   handleTransferResumed,
-  handleTransferFailed
+  handleTransferFailed,
+  handleTransferCheckpoint,
+  handleTransferResumeInfo,
+  handleTransferProgress,
+  handleFileStart,
+  handleFileComplete,
+  handleFileFailed,
+  rejectForeignSession,
+  countCompletedTransfer
 } from "./utils/transferHandlers.js";
+import { hashPassphrase, verifyPassphrase } from "./utils/roomAuth.js";
+import { createInviteToken, verifyInviteToken } from "./utils/invites.js";
+import { isValidTimeZone, getAnalyticsTimeZone, parseDateParam, startOfDay } from "./utils/timeZones.js";
+import { ADMIN_SCOPES, requireScope, hasScope, hashRoomCode, roomCodeFor, createAdminToken } from "./utils/adminAuth.js";
+import { validateEvents, MAX_RELAY_CHUNK_BYTES } from "./utils/validation.js";
+import {
+  EXPORT_COLLECTIONS,
+  DEFAULT_EXPORT_LIMIT,
+  MAX_EXPORT_LIMIT,
+  getFilterValues,
+  decodePageToken,
+  buildExportQuery,
+  findNextPageToken,
+  createExportStream,
+  hashRoomCodes
+} from "./utils/analyticsExport.js";
+import { enforceRoomMembership } from "./utils/membership.js";
+import { getIceServers } from "./utils/iceServers.js";
+import {
+  METRICS_CONTENT_TYPE,
+  renderMetrics,
+  createGauge,
+  roomsCreated,
+  roomJoins,
+  roomsDismissed,
+  joinsRejected,
+  signalsRelayed,
+  transferOutcomes
+} from "./utils/metrics.js";
+import {
+  DEFAULT_SOCKET_LIMITS,
+  DEFAULT_IP_LIMITS,
+  parseRateLimits,
+  createRateLimiter,
+  getSocketIp,
+  rateLimitEvents,
+  rateLimitHttp
+} from "./utils/rateLimit.js";
+import { createRoomStore } from "./store/index.js";
+import { createDropStore } from "./store/dropStore.js";
 
 // Load environment variables
 dotenv.config();
@@ -40,6 +99,22 @@ mongoose.connect(MONGODB_URI)
 
 const app = express();
 
+// Number of reverse proxies (load balancer, CDN) trusted to append X-Forwarded-For
+const TRUST_PROXY_HOPS = parseInt(process.env.TRUST_PROXY_HOPS, 10) || 0;
+if (TRUST_PROXY_HOPS > 0) {
+  app.set('trust proxy', TRUST_PROXY_HOPS);
+}
+
+// Rate limits per socket and per client IP; env entries override the defaults per class
+const socketLimiter = createRateLimiter({
+  ...parseRateLimits(DEFAULT_SOCKET_LIMITS),
+  ...parseRateLimits(process.env.RATE_LIMITS || '')
+});
+const ipLimiter = createRateLimiter({
+  ...parseRateLimits(DEFAULT_IP_LIMITS),
+  ...parseRateLimits(process.env.RATE_LIMITS_PER_IP || '')
+});
+
 // CORS configuration for frontend
 const rawAllowedOrigins = process.env.ALLOWED_ORIGINS 
   ? process.env.ALLOWED_ORIGINS.split(',').map(origin => origin.trim())
@@ -97,7 +172,9 @@ app.use(cors({
       callback(new Error('Not allowed by CORS'));
     }
   },
-  credentials: true
+  credentials: true,
+  // Paging cursor of /api/analytics/export
+  exposedHeaders: ['X-Next-Token']
 }));
 
 app.use(express.json());
@@ -120,14 +197,134 @@ const io = new Server(server, {
   }
 });
 
-// Map<RoomID, Set<SocketID>> - Tracks connected users in each room
-// Map<SocketID, RoomID> - Tracks which room a socket belongs to
-const roomUsers = new Map();
-const userRoomMap = new Map();
-
-const MAX_ROOM_CAPACITY = 2;
+const DEFAULT_ROOM_CAPACITY = 2;
 const ROOM_ID_LENGTH = 6;
 
+// Upper bound for the capacity a creator may request for a broadcast room
+const MAX_ROOM_CAPACITY = Math.max(
+  DEFAULT_ROOM_CAPACITY,
+  parseInt(process.env.MAX_ROOM_CAPACITY, 10) || 10
+);
+
+// pair: classic 1:1 transfer | broadcast: one sender, many receivers (mesh)
+const ROOM_MODES = ['pair', 'broadcast'];
+
+// Protected rooms: passphrase length bounds and wrong-attempt lockout per room
+const PASSPHRASE_MIN_LENGTH = 4;
+const PASSPHRASE_MAX_LENGTH = 128;
+const ROOM_AUTH_MAX_ATTEMPTS = parseInt(process.env.ROOM_AUTH_MAX_ATTEMPTS, 10) || 5;
+const ROOM_AUTH_LOCKOUT_MS = parseInt(process.env.ROOM_AUTH_LOCKOUT_MS, 10) || 5 * 60 * 1000;
+
+/**
+ * Read a millisecond duration from env where 0 explicitly disables the feature
+ */
+function readDurationEnv(name, fallback) {
+  return process.env[name] !== undefined
+    ? Math.max(0, parseInt(process.env[name], 10) || 0)
+    : fallback;
+}
+
+// How long a dropped peer's seat is held for `rejoin-room` (0 disables the grace window)
+const RECONNECT_GRACE_MS = readDurationEnv('RECONNECT_GRACE_MS', 30000);
+
+// How long per-pair connection outcomes are remembered for connection_failed dedup
+const CONNECTION_STATE_TTL_MS = 24 * 60 * 60 * 1000;
+
+// Relay fallback (relay-chunk): per-room bandwidth and total bytes (0 disables
+// the relay), unacked chunks per sender, and how long the receiver has to ack
+const RELAY_ROOM_BYTES_PER_SECOND = parseInt(process.env.RELAY_ROOM_BYTES_PER_SECOND, 10) || 1024 * 1024;
+const RELAY_MAX_BYTES_PER_ROOM = process.env.RELAY_MAX_BYTES_PER_ROOM !== undefined
+  ? Math.max(0, parseInt(process.env.RELAY_MAX_BYTES_PER_ROOM, 10) || 0)
+  : 1024 * 1024 * 1024;
+const RELAY_MAX_IN_FLIGHT = parseInt(process.env.RELAY_MAX_IN_FLIGHT, 10) || 8;
+const RELAY_ACK_TIMEOUT_MS = parseInt(process.env.RELAY_ACK_TIMEOUT_MS, 10) || 15000;
+const RELAY_COUNTER_TTL_MS = 24 * 60 * 60 * 1000;
+
+// How long a receiver has to answer a file-offer
+const FILE_OFFER_TIMEOUT_MS = parseInt(process.env.FILE_OFFER_TIMEOUT_MS, 10) || 60000;
+
+// Expiry timers for file offers made from this instance: Map<SessionID, Timeout>
+const pendingOffers = new Map();
+
+// Store-and-forward drops (enabled by setting DROP_DIR): blob lifetime,
+// bytes per room and total bytes on disk
+const DROP_TTL_MS = parseInt(process.env.DROP_TTL_MS, 10) || 24 * 60 * 60 * 1000;
+const DROP_MAX_BYTES_PER_ROOM = parseInt(process.env.DROP_MAX_BYTES_PER_ROOM, 10) || 1024 * 1024 * 1024;
+const DROP_MAX_TOTAL_BYTES = parseInt(process.env.DROP_MAX_TOTAL_BYTES, 10) || 10 * 1024 * 1024 * 1024;
+const DROP_METADATA_MAX_BYTES = 4 * 1024;
+const DROP_SWEEP_INTERVAL_MS = 60 * 1000;
+
+const dropStore = process.env.DROP_DIR
+  ? createDropStore({
+    dir: process.env.DROP_DIR,
+    ttlMs: DROP_TTL_MS,
+    maxRoomBytes: DROP_MAX_BYTES_PER_ROOM,
+    maxTotalBytes: DROP_MAX_TOTAL_BYTES
+  })
+  : null;
+
+// Room messages: how many room-wide messages are kept for late joiners (0
+// disables the backlog) and how long a recipient has to ack delivery
+const ROOM_MESSAGE_BACKLOG = process.env.ROOM_MESSAGE_BACKLOG !== undefined
+  ? Math.max(0, parseInt(process.env.ROOM_MESSAGE_BACKLOG, 10) || 0)
+  : 20;
+const ROOM_MESSAGE_ACK_TIMEOUT_MS = parseInt(process.env.ROOM_MESSAGE_ACK_TIMEOUT_MS, 10) || 10000;
+
+// Recent room-wide messages relayed by this instance: Map<RoomID, message[]>
+const messageBacklogs = new Map();
+
+// transfer-progress throttling: room fan-out rate and how often a sample is persisted
+const PROGRESS_BROADCAST_INTERVAL_MS = parseInt(process.env.PROGRESS_BROADCAST_INTERVAL_MS, 10) || 500;
+const PROGRESS_SAMPLE_INTERVAL_MS = parseInt(process.env.PROGRESS_SAMPLE_INTERVAL_MS, 10) || 5000;
+
+// Byte bucket per room; one second of burst, never smaller than a single chunk
+const relayBandwidth = createRateLimiter({
+  relay: { capacity: Math.max(RELAY_ROOM_BYTES_PER_SECOND, MAX_RELAY_CHUNK_BYTES), intervalMs: 1000 }
+});
+
+// Room lifetime: absolute TTL from creation and idle TTL from the last signaling
+// event (0 disables either), plus how early members are warned before expiry
+const ROOM_MAX_LIFETIME_MS = readDurationEnv('ROOM_MAX_LIFETIME_MS', 24 * 60 * 60 * 1000);
+const ROOM_IDLE_TTL_MS = readDurationEnv('ROOM_IDLE_TTL_MS', 30 * 60 * 1000);
+const ROOM_EXPIRY_WARNING_MS = readDurationEnv('ROOM_EXPIRY_WARNING_MS', 60 * 1000);
+const ROOM_SWEEP_INTERVAL_MS = parseInt(process.env.ROOM_SWEEP_INTERVAL_MS, 10) || 10000;
+
+// Map<SocketID, Timeout> - Seats held on this instance for disconnected sockets
+const heldSeats = new Map();
+
+// Redis room keys outlive the longest room by a sweep interval and a held
+// seat's grace window, so rooms orphaned by a crashed instance still expire.
+// Without a lifetime cap they don't expire; the member sweep cleans up instead.
+const ROOM_KEY_TTL_MS = ROOM_MAX_LIFETIME_MS > 0
+  ? ROOM_MAX_LIFETIME_MS + ROOM_SWEEP_INTERVAL_MS + RECONNECT_GRACE_MS
+  : 0;
+// Reconnect tokens are revoked when their seat goes; the TTL only catches
+// tokens orphaned by a crash
+const RECONNECT_TOKEN_TTL_MS = ROOM_KEY_TTL_MS || 7 * 24 * 60 * 60 * 1000;
+// How often seats of sockets that no instance knows any more are released
+const MEMBER_SWEEP_INTERVAL_MS = parseInt(process.env.MEMBER_SWEEP_INTERVAL_MS, 10) || 60 * 1000;
+
+// Room state (members, socket -> room lookups, reconnect tokens) lives in the
+// room store: in-memory by default, Redis when REDIS_URL is set
+const roomStore = createRoomStore(io, log, { roomTtlMs: ROOM_KEY_TTL_MS });
+
+// Invite tokens: default/max lifetime (seconds) and use limits
+const INVITE_DEFAULT_TTL_SECONDS = parseInt(process.env.INVITE_DEFAULT_TTL_SECONDS, 10) || 60 * 60;
+const INVITE_MAX_TTL_SECONDS = 7 * 24 * 60 * 60;
+const INVITE_MAX_USES = 100;
+
+const INVITE_ERROR_MESSAGES = {
+  INVITE_INVALID: "Invite link is invalid.",
+  INVITE_EXPIRED: "Invite link has expired.",
+  INVITE_EXHAUSTED: "Invite link has already been used."
+};
+
+// How long a joiner waits for the host in rooms created with requireApproval
+const JOIN_REQUEST_TIMEOUT_MS = parseInt(process.env.JOIN_REQUEST_TIMEOUT_MS, 10) || 60000;
+
+// Map<SocketID, Timeout> - Join requests on this instance awaiting host approval
+const pendingJoins = new Map();
+
 /**
  * Generates a random 6-character Room ID
  */
@@ -144,290 +341,1961 @@ function generateRoomId() {
  * Get current room occupancy
  */
 function getRoomOccupancy(roomId) {
-  return roomUsers.get(roomId)?.size || 0;
+  return roomStore.getOccupancy(roomId);
 }
 
 /**
- * Check if room is full
+ * Get the capacity chosen for a room at creation
  */
-function isRoomFull(roomId) {
-  return getRoomOccupancy(roomId) > MAX_ROOM_CAPACITY;
+async function getRoomCapacity(roomId) {
+  return (await roomStore.getRoomMeta(roomId))?.capacity || DEFAULT_ROOM_CAPACITY;
 }
 
 /**
- * Check if room exists and is active
+ * Check if room is full
  */
-function roomExists(roomId) {
-  return roomUsers.has(roomId);
+async function isRoomFull(roomId) {
+  return (await getRoomOccupancy(roomId)) >= (await getRoomCapacity(roomId));
 }
 
 /**
- * Delete room and notify clients
+ * Validate create-room options, returning { capacity, mode, passphrase } or { error }
  */
-function deleteRoom(roomId) {
-  if (roomUsers.has(roomId)) {
-    io.to(roomId).emit("room-dismissed", { roomId, reason: "Room closed" });
-    roomUsers.delete(roomId);
-    log(`[Room Dismissed] ID: ${roomId} - No users remaining`);
+function resolveRoomOptions(options = {}) {
+  const { passphrase } = options;
+  if (passphrase !== undefined && (
+    typeof passphrase !== 'string' ||
+    passphrase.length < PASSPHRASE_MIN_LENGTH ||
+    passphrase.length > PASSPHRASE_MAX_LENGTH
+  )) {
+    return { error: `Passphrase must be ${PASSPHRASE_MIN_LENGTH}-${PASSPHRASE_MAX_LENGTH} characters.` };
+  }
+
+  const mode = options.mode ?? 'pair';
+  if (!ROOM_MODES.includes(mode)) {
+    return { error: `Room mode must be one of: ${ROOM_MODES.join(', ')}.` };
+  }
+
+  if (mode === 'pair') {
+    if (options.capacity !== undefined && options.capacity !== DEFAULT_ROOM_CAPACITY) {
+      return { error: `Pair rooms always hold ${DEFAULT_ROOM_CAPACITY} users; use broadcast mode for more.` };
+    }
+    return { capacity: DEFAULT_ROOM_CAPACITY, mode, passphrase };
+  }
+
+  const capacity = options.capacity ?? MAX_ROOM_CAPACITY;
+  if (!Number.isInteger(capacity) || capacity < DEFAULT_ROOM_CAPACITY || capacity > MAX_ROOM_CAPACITY) {
+    return { error: `Capacity must be a whole number between ${DEFAULT_ROOM_CAPACITY} and ${MAX_ROOM_CAPACITY}.` };
   }
+  return { capacity, mode, passphrase };
 }
 
-io.on("connection", (socket) => {
-  log(`[Connect] Socket ID: ${socket.id}`);
+/**
+ * Check a join attempt against a protected room, counting failures towards
+ * the per-room lockout. Returns null when admitted, otherwise an error payload.
+ */
+async function authorizeRoomJoin(socket, roomId, roomMeta, passphrase) {
+  if (!roomMeta.passphraseHash) return null;
 
-  // --- ROOM MANAGEMENT ---
+  const failuresKey = `auth-failures:${roomId}`;
+  const failures = Number(await roomStore.getValue(failuresKey)) || 0;
+  if (failures >= ROOM_AUTH_MAX_ATTEMPTS) {
+    await logError('room_auth_failed', 'Join attempted while room is locked', { 
+      roomId, 
+      userId: socket.id, 
+      locked: true 
+    });
+    return { 
+      code: 'ROOM_AUTH_FAILED', 
+      locked: true,
+      message: "Too many wrong passphrase attempts. Room is temporarily locked." 
+    };
+  }
 
-  socket.on("create-room", async () => {
-    const roomId = generateRoomId();
-    
-    // Initialize room with first user
-    roomUsers.set(roomId, new Set([socket.id]));
-    userRoomMap.set(socket.id, roomId);
-    
-    socket.join(roomId);
-    
-    // Track analytics
-    await trackRoomCreated(roomId, socket.id);
-    
-    socket.emit("room-created", { roomId, occupancy: 1, capacity: MAX_ROOM_CAPACITY }); 
-    log(`[Room Created] ID: ${roomId} | Creator: ${socket.id}`);
+  if (await verifyPassphrase(passphrase, roomMeta.passphraseSalt, roomMeta.passphraseHash)) {
+    return null;
+  }
+
+  const attempts = await roomStore.incrementValue(failuresKey, ROOM_AUTH_LOCKOUT_MS);
+  const locked = attempts >= ROOM_AUTH_MAX_ATTEMPTS;
+  await logError('room_auth_failed', passphrase ? 'Wrong room passphrase' : 'Missing room passphrase', { 
+    roomId, 
+    userId: socket.id, 
+    attempts, 
+    locked 
   });
+  log(`[Join Rejected] Room: ${roomId} | Wrong passphrase (${attempts}/${ROOM_AUTH_MAX_ATTEMPTS}) | User: ${socket.id}`);
 
-  socket.on("join-room", async (roomId) => {
-    // Validate room exists
-    if (!roomExists(roomId)) {
-      socket.emit("error", { 
-        code: 'ROOM_NOT_FOUND', 
-        message: "Room ID not found or has been dismissed." 
-      });
-      await logError('room_not_found', 'Room ID not found', { roomId, userId: socket.id });
-      return;
-    }
+  return { 
+    code: 'ROOM_AUTH_FAILED', 
+    locked,
+    attemptsRemaining: Math.max(0, ROOM_AUTH_MAX_ATTEMPTS - attempts),
+    message: locked 
+      ? "Too many wrong passphrase attempts. Room is temporarily locked." 
+      : "Room passphrase is missing or incorrect." 
+  };
+}
 
-    // Check if room is full
-    const currentOccupancy = getRoomOccupancy(roomId);
-    if (isRoomFull(roomId)) {
-      // Send room-full event to the user trying to join
-      socket.emit("room-full", { 
-        roomId, 
-        occupancy: currentOccupancy, 
-        capacity: MAX_ROOM_CAPACITY,
-        message: `Room is full (${currentOccupancy}/${MAX_ROOM_CAPACITY} users). Cannot join.` 
-      });
-      
+/**
+ * Forward a signaling message to one peer (targetId) or, for legacy clients
+ * in rooms of two, to the other member. With more than two members a message
+ * without targetId is rejected rather than fanned out to everyone.
+ */
+async function relaySignal(socket, event, roomId, targetId, payload) {
+  if (targetId) {
+    if ((await roomStore.getUserRoom(targetId)) !== roomId) {
       socket.emit("error", { 
-        code: 'ROOM_FULL', 
-        message: `Room is full (${currentOccupancy}/${MAX_ROOM_CAPACITY} users).` 
+        code: 'PEER_NOT_FOUND', 
+        message: "Target peer is not in this room." 
       });
-      await logError('room_full', 'Room is full', { roomId, userId: socket.id, occupancy: currentOccupancy });
-      log(`[Join Rejected] Room: ${roomId} is full | Rejected user: ${socket.id}`);
-      return;
+      return false;
     }
+    io.to(targetId).emit(event, { ...payload, fromId: socket.id });
+    signalsRelayed.inc({ type: event });
+    return true;
+  }
 
-    // Add user to room
-    roomUsers.get(roomId).add(socket.id);
-    userRoomMap.set(socket.id, roomId);
-    socket.join(roomId);
+  if ((await getRoomOccupancy(roomId)) > 2) {
+    socket.emit("error", { 
+      code: 'PEER_NOT_FOUND', 
+      event,
+      message: "No single peer to send to; set targetId." 
+    });
+    return false;
+  }
 
-    const newOccupancy = getRoomOccupancy(roomId);
+  socket.to(roomId).emit(event, { ...payload, fromId: socket.id });
+  signalsRelayed.inc({ type: event });
+  return true;
+}
 
-    // Track analytics
-    await trackRoomJoined(roomId, socket.id, newOccupancy);
+/**
+ * Collapse the local/remote candidate types of the selected pair into one
+ * type: relay if either side went through TURN, srflx if either side is
+ * NAT-mapped (prflx counts as srflx), host otherwise
+ */
+function getCandidatePairType(localType, remoteType) {
+  const types = [localType, remoteType];
+  if (types.includes('relay')) return 'relay';
+  if (types.includes('srflx') || types.includes('prflx')) return 'srflx';
+  if (types.includes('host')) return 'host';
+  return undefined;
+}
 
-    // Notify other users in room
-    socket.to(roomId).emit("user-joined", { 
-      userId: socket.id,
-      occupancy: newOccupancy,
-      capacity: MAX_ROOM_CAPACITY,
-      isFull: isRoomFull(roomId)
-    });
-    
-    // Notify joiner of success
-    socket.emit("room-joined", { 
-      roomId, 
-      occupancy: newOccupancy, 
-      capacity: MAX_ROOM_CAPACITY,
-      isFull: isRoomFull(roomId)
-    });
-    
-    log(`[Room Joined] ID: ${roomId} | User: ${socket.id} | Occupancy: ${newOccupancy}/${MAX_ROOM_CAPACITY}`);
-
-    // Notify all users if room is now full
-    if (isRoomFull(roomId)) {
-      io.to(roomId).emit("room-full", { 
-        roomId, 
-        occupancy: newOccupancy, 
-        message: "Room is now full. No more users can join." 
-      });
-      log(`[Room Full] ID: ${roomId}`);
-    }
+/**
+ * Pick the one peer a message is for (relayed chunk, file offer): targetId if
+ * given, otherwise the only other member. Returns null when there is no
+ * single valid peer.
+ */
+async function resolveTargetPeer(socket, roomId, targetId) {
+  if (targetId) {
+    return (await roomStore.getUserRoom(targetId)) === roomId ? targetId : null;
+  }
+
+  const others = (await roomStore.getMembers(roomId)).filter((id) => id !== socket.id);
+  return others.length === 1 ? others[0] : null;
+}
+
+/**
+ * In rooms created with e2e: true the server must never see plain SDP;
+ * offers and answers have to arrive as envelopes. Returns true if rejected.
+ */
+async function rejectPlainSdp(socket, event, roomId, envelope) {
+  if (envelope !== undefined) return false;
+
+  const roomMeta = await roomStore.getRoomMeta(roomId);
+  if (!roomMeta?.e2e) return false;
+
+  socket.emit("error", { 
+    code: 'E2E_REQUIRED', 
+    event,
+    message: "This room is end-to-end encrypted; send the SDP as an envelope." 
   });
+  return true;
+}
 
-  // --- SIGNALING (Forwarding Logic) ---
+/**
+ * Check if room exists and is active
+ */
+function roomExists(roomId) {
+  return roomStore.roomExists(roomId);
+}
 
-  socket.on("leave-room", async () => {
-    const roomId = userRoomMap.get(socket.id);
-    
-    if (roomId && roomUsers.has(roomId)) {
-      const roomUserSet = roomUsers.get(roomId);
-      roomUserSet.delete(socket.id);
-      userRoomMap.delete(socket.id);
-      socket.leave(roomId);
+/**
+ * Issue a fresh reconnect token for a seated socket, revoking any previous one
+ */
+async function issueReconnectToken(roomId, socketId) {
+  await revokeReconnectToken(socketId);
+  const token = crypto.randomBytes(24).toString('hex');
+  await roomStore.setValue(`reconnect:${token}`, { roomId, socketId }, RECONNECT_TOKEN_TTL_MS);
+  await roomStore.setValue(`reconnect-socket:${socketId}`, token, RECONNECT_TOKEN_TTL_MS);
+  return token;
+}
 
-      const remainingOccupancy = roomUserSet.size;
+/**
+ * Revoke the reconnect token held by a socket (explicit leave or seat released)
+ */
+async function revokeReconnectToken(socketId) {
+  const token = await roomStore.getValue(`reconnect-socket:${socketId}`);
+  if (token) {
+    await roomStore.deleteValue(`reconnect:${token}`);
+    await roomStore.deleteValue(`reconnect-socket:${socketId}`);
+  }
+}
 
-      // Track analytics
-      await trackUserLeft(roomId, socket.id, remainingOccupancy);
+/**
+ * Remove a socket from its room, track the leave and dismiss the room if it is now empty
+ */
+async function releaseSeat(socketId, roomId) {
+  // The seat may have moved to a new socket via rejoin-room on another instance
+  if ((await roomStore.getUserRoom(socketId)) !== roomId) return;
 
-      if (remainingOccupancy === 0) {
-        // Room is now empty - dismiss it
-        deleteRoom(roomId);
-      } else {
-        // Notify remaining users
-        socket.to(roomId).emit("user-left", { 
-          userId: socket.id,
-          occupancy: remainingOccupancy,
-          capacity: MAX_ROOM_CAPACITY
-        });
-      }
+  const remainingOccupancy = await roomStore.removeMember(roomId, socketId);
+  const capacity = await getRoomCapacity(roomId);
+  await revokeReconnectToken(socketId);
 
-      socket.emit("room-left", { roomId, message: "Successfully left the room" });
-      log(`[Room Left] Room: ${roomId} | User: ${socket.id} | Remaining: ${remainingOccupancy}/${MAX_ROOM_CAPACITY}`);
-    }
-  });
+  // Track analytics
+  await trackUserLeft(roomId, socketId, remainingOccupancy);
 
-  socket.on("offer", async ({ offer, roomId }) => {
-    // Track signaling event
-    await trackSignalingEvent(roomId, 'offer');
-    
-    // Forward Offer to the other peer in the room
-    socket.to(roomId).emit("offer", { offer });
-  });
+  if (remainingOccupancy === 0) {
+    // Room is now empty - dismiss it
+    await deleteRoom(roomId, 'empty');
+  } else {
+    // Notify remaining users
+    io.to(roomId).except(socketId).emit("user-left", { 
+      userId: socketId,
+      occupancy: remainingOccupancy,
+      capacity
+    });
+    log(`[User Left] Room: ${roomId} | User: ${socketId} | Remaining: ${remainingOccupancy}/${capacity}`);
+  }
+}
 
-  socket.on("answer", async ({ answer, roomId }) => {
-    // Track signaling event
-    await trackSignalingEvent(roomId, 'answer');
-    
-    // Forward Answer back to the Initiator
-    socket.to(roomId).emit("answer", { answer });
-  });
+/**
+ * Keep a disconnected socket's seat for RECONNECT_GRACE_MS before releasing it
+ */
+function holdSeat(socketId, roomId) {
+  const timer = setTimeout(() => {
+    heldSeats.delete(socketId);
+    log(`[Seat Expired] Room: ${roomId} | User: ${socketId}`);
+    releaseSeat(socketId, roomId);
+  }, RECONNECT_GRACE_MS);
 
-  socket.on("ice-candidate", async ({ candidate, roomId }) => {
-    // Track signaling event
-    await trackSignalingEvent(roomId, 'iceCandidate');
-    
-    // Forward Network Candidates
-    socket.to(roomId).emit("ice-candidate", { candidate });
-  });
+  heldSeats.set(socketId, timer);
+  // Lets the member sweep on other instances tell a held seat from a lost one
+  roomStore.setValue(`held-seat:${socketId}`, roomId, RECONNECT_GRACE_MS)
+    .catch((err) => console.error('[Seat Hold Error]:', err.message));
+}
 
-  // --- ENHANCED TRANSFER TRACKING ---
-  
-  // Optional: Enhanced transfer tracking
-  handleTransferStart(socket);
-  handleTransferComplete(socket);
-  // handleTransferPaused(socket);
-  // handleTransferResumed(socket);
-  handleTransferFailed(socket);
+/**
+ * Count one use of an invite. Returns false once maxUses is exceeded.
+ */
+async function consumeInvite(invite) {
+  const ttlMs = Math.max(1000, new Date(invite.expiresAt).getTime() - Date.now());
+  const uses = await roomStore.incrementValue(`invite-uses:${invite.inviteId}`, ttlMs);
+  return uses <= invite.maxUses;
+}
 
-  // --- DATA TRANSFER (Simple Analytics) ---
+/**
+ * Whether an invite has a use left, without taking it
+ */
+async function inviteHasUses(invite) {
+  const uses = Number(await roomStore.getValue(`invite-uses:${invite.inviteId}`)) || 0;
+  return uses < invite.maxUses;
+}
 
-  // Frontend emits total bytes for a completed transfer
-  // Payload: { roomId, bytes, sessionId? }
-  socket.on("data-transfer", async ({ roomId, bytes, sessionId }) => {
-    try {
-      const result = await recordDataTransferred(roomId, bytes, sessionId);
-      if (result) {
-        log(`[Data Transfer] Room: ${roomId} | Bytes: ${bytes}`);
-      }
-    } catch (err) {
-      console.error('[Data Transfer Error]:', err.message);
-    }
+/**
+ * Reject a join attempt if the room is at capacity. Returns true when rejected.
+ */
+async function rejectIfRoomFull(socketId, roomId, capacity) {
+  const currentOccupancy = await getRoomOccupancy(roomId);
+  if (currentOccupancy < capacity) return false;
+
+  // Send room-full event to the user trying to join
+  io.to(socketId).emit("room-full", { 
+    roomId, 
+    occupancy: currentOccupancy, 
+    capacity,
+    message: `Room is full (${currentOccupancy}/${capacity} users). Cannot join.` 
   });
+  
+  io.to(socketId).emit("error", { 
+    code: 'ROOM_FULL', 
+    message: `Room is full (${currentOccupancy}/${capacity} users).` 
+  });
+  joinsRejected.inc({ reason: 'ROOM_FULL' });
+  await logError('room_full', 'Room is full', { roomId, userId: socketId, occupancy: currentOccupancy });
+  log(`[Join Rejected] Room: ${roomId} is full | Rejected user: ${socketId}`);
+  return true;
+}
 
-  // --- CLEANUP ---
+/**
+ * Add a socket to a room and notify everyone. Works for sockets connected to
+ * another instance too, so the host can admit a pending joiner from anywhere.
+ */
+async function admitToRoom(roomId, socketId, roomMeta) {
+  const { capacity, mode, creatorId, e2e = false } = roomMeta;
 
-  socket.on("disconnecting", async () => {
-    const roomId = userRoomMap.get(socket.id);
-    
-    if (roomId && roomUsers.has(roomId)) {
-      const roomUserSet = roomUsers.get(roomId);
-      roomUserSet.delete(socket.id);
-      userRoomMap.delete(socket.id);
+  // Add user to room (existing members are the peers the newcomer connects to)
+  const peers = await roomStore.getMembers(roomId);
+  const newOccupancy = await roomStore.addMember(roomId, socketId);
+  io.in(socketId).socketsJoin(roomId);
 
-      const remainingOccupancy = roomUserSet.size;
+  // Track analytics
+  roomJoins.inc();
+  await trackRoomJoined(roomId, socketId, newOccupancy);
 
-      // Track analytics
-      await trackUserLeft(roomId, socket.id, remainingOccupancy);
+  const isFull = newOccupancy >= capacity;
 
-      if (remainingOccupancy === 0) {
-        // Room is now empty - dismiss it
-        deleteRoom(roomId);
-      } else {
-        // Notify remaining users
-        socket.to(roomId).emit("user-left", { 
-          userId: socket.id,
-          occupancy: remainingOccupancy,
-          capacity: MAX_ROOM_CAPACITY
-        });
-        log(`[User Left] Room: ${roomId} | User: ${socket.id} | Remaining: ${remainingOccupancy}/${MAX_ROOM_CAPACITY}`);
-      }
-    }
+  // Notify other users in room
+  io.to(roomId).except(socketId).emit("user-joined", { 
+    userId: socketId,
+    occupancy: newOccupancy,
+    capacity,
+    isFull
   });
-
-  socket.on("disconnect", () => {
-    // Cleanup any remaining references
-    const roomId = userRoomMap.get(socket.id);
-    if (roomId) {
-      userRoomMap.delete(socket.id);
-      const roomUserSet = roomUsers.get(roomId);
-      if (roomUserSet) {
-        roomUserSet.delete(socket.id);
-      }
-    }
-    log(`[Disconnect] Socket ID: ${socket.id}`);
+  
+  // Notify joiner of success
+  io.to(socketId).emit("room-joined", { 
+    roomId, 
+    occupancy: newOccupancy, 
+    capacity,
+    mode,
+    e2e,
+    hostId: creatorId,
+    peers,
+    isFull,
+    recentMessages: messageBacklogs.get(roomId) || [],
+    reconnectToken: await issueReconnectToken(roomId, socketId),
+    ...getIceServers(socketId)
   });
-});
+  
+  log(`[Room Joined] ID: ${roomId} | User: ${socketId} | Occupancy: ${newOccupancy}/${capacity}`);
 
-// --- ANALYTICS API ENDPOINTS ---
+  // Notify all users if room is now full
+  if (isFull) {
+    io.to(roomId).emit("room-full", { 
+      roomId, 
+      occupancy: newOccupancy, 
+      message: "Room is now full. No more users can join." 
+    });
+    log(`[Room Full] ID: ${roomId}`);
+  }
+}
 
-// Ping endpoint for keeping app alive (Render free plan, cron jobs, etc.)
-// Allows requests from any origin
+/**
+ * Park a joiner in the pending state and ask the room host to approve it
+ */
+async function requestJoinApproval(socket, roomId, roomMeta, payload, invite) {
+  const request = {
+    roomId,
+    userId: socket.id,
+    displayName: clampText(payload?.displayName, 64),
+    deviceInfo: clampText(payload?.deviceInfo, 128),
+    requestedAt: Date.now()
+  };
 
+  // A joiner asking again replaces its earlier request, whose timer would
+  // otherwise expire the new one
+  await cancelJoinRequest(socket.id, 'replaced');
 
-// Health check endpoint
-app.get('/health', (req, res) => {
-  res.json({ 
-    status: 'ok', 
-    timestamp: new Date().toISOString(),
-    mongodb: mongoose.connection.readyState === 1 ? 'connected' : 'disconnected'
-  });
-});
+  // The stored request outlives the timer so the timer can still find and expire it;
+  // the TTL only matters if this instance dies before then. The invite's use
+  // is only taken once the host approves.
+  await roomStore.setValue(`join-request:${socket.id}`, {
+    ...request,
+    invite: invite ? { inviteId: invite.inviteId, maxUses: invite.maxUses, expiresAt: invite.expiresAt } : undefined
+  }, JOIN_REQUEST_TIMEOUT_MS * 2);
 
-// Get analytics summary
-app.get('/api/analytics/summary', async (req, res) => {
-  try {
-    const days = parseInt(req.query.days) || 7;
-    const summary = await getAnalyticsSummary(days);
-    res.json(summary);
-  } catch (error) {
-    console.error('[Analytics API] Error:', error.message);
-    res.status(500).json({ error: 'Failed to fetch analytics' });
+  // Pending joiners sit in a side channel so room dismissal still reaches them
+  socket.join(pendingChannel(roomId));
+  pendingJoins.set(socket.id, setTimeout(() => {
+    expireJoinRequest(socket.id, roomId);
+  }, JOIN_REQUEST_TIMEOUT_MS));
+
+  io.to(roomMeta.creatorId).emit("join-request", request);
+  socket.emit("join-pending", { roomId, timeoutMs: JOIN_REQUEST_TIMEOUT_MS });
+  log(`[Join Pending] Room: ${roomId} | User: ${socket.id} | Awaiting host approval`);
+}
+
+/**
+ * Remove a pending join request; returns the request if it was still pending
+ */
+async function clearJoinRequest(socketId) {
+  clearTimeout(pendingJoins.get(socketId));
+  pendingJoins.delete(socketId);
+
+  const request = await roomStore.getValue(`join-request:${socketId}`);
+  if (!request) return null;
+
+  await roomStore.deleteValue(`join-request:${socketId}`);
+  io.in(socketId).socketsLeave(pendingChannel(request.roomId));
+  return request;
+}
+
+/**
+ * Give up on a join request the host never answered
+ */
+async function expireJoinRequest(socketId, roomId) {
+  const request = await clearJoinRequest(socketId);
+  if (!request) return;
+
+  const roomMeta = await roomStore.getRoomMeta(roomId);
+  if (roomMeta) {
+    io.to(roomMeta.creatorId).emit("join-request-cancelled", { roomId, userId: socketId, reason: 'timeout' });
   }
-});
+  joinsRejected.inc({ reason: 'JOIN_REQUEST_TIMEOUT' });
+  io.to(socketId).emit("error", { 
+    code: 'JOIN_REQUEST_TIMEOUT', 
+    message: "The host did not respond to your join request in time." 
+  });
+  log(`[Join Pending] Room: ${roomId} | User: ${socketId} | Request timed out`);
+}
 
-// Get current active rooms count
-app.get('/api/analytics/active-rooms', (req, res) => {
-  const activeRooms = Array.from(roomUsers.entries()).map(([roomId, userSet]) => ({ 
-    id: roomId, 
-    userCount: userSet.size,
-    capacity: MAX_ROOM_CAPACITY,
-    isFull: userSet.size >= MAX_ROOM_CAPACITY
-  }));
+/**
+ * Resolve a pending request for a room the socket hosts (approve/deny)
+ */
+async function takeJoinRequest(socket, userId) {
+  const request = userId ? await roomStore.getValue(`join-request:${userId}`) : null;
+  const roomMeta = request ? await roomStore.getRoomMeta(request.roomId) : null;
+
+  if (!roomMeta || roomMeta.creatorId !== socket.id) {
+    socket.emit("error", { 
+      code: 'JOIN_REQUEST_NOT_FOUND', 
+      message: "No pending join request from that user for a room you host." 
+    });
+    return null;
+  }
+
+  return clearJoinRequest(userId);
+}
+
+/**
+ * Withdraw a join request when the joiner leaves or disconnects while pending
+ */
+async function cancelJoinRequest(socketId, reason) {
+  const request = await clearJoinRequest(socketId);
+  if (!request) return;
+
+  const roomMeta = await roomStore.getRoomMeta(request.roomId);
+  if (roomMeta) {
+    io.to(roomMeta.creatorId).emit("join-request-cancelled", { roomId: request.roomId, userId: socketId, reason });
+  }
+  log(`[Join Pending] Room: ${request.roomId} | User: ${socketId} | Request cancelled (${reason})`);
+}
+
+/**
+ * Drop every pending join request for a room being dismissed. Approval timers
+ * on other instances then find their request gone and stay silent.
+ */
+async function clearRoomJoinRequests(roomId) {
+  try {
+    const pending = await io.in(pendingChannel(roomId)).fetchSockets();
+    for (const remote of pending) {
+      await clearJoinRequest(remote.id);
+    }
+  } catch (error) {
+    console.error('[Join Pending] Failed to clear join requests:', error.message);
+  }
+}
+
+/**
+ * Socket.IO room holding joiners that wait for approval
+ */
+function pendingChannel(roomId) {
+  return `${roomId}:pending`;
+}
+
+/**
+ * Trim optional client-supplied text (display names, device info)
+ */
+function clampText(value, maxLength) {
+  return typeof value === 'string' ? value.trim().slice(0, maxLength) : undefined;
+}
+
+const DISMISS_MESSAGES = {
+  empty: "Room closed",
+  expired: "Room reached its maximum lifetime",
+  idle: "Room closed after a period of inactivity",
+  closed_by_host: "The host closed the room",
+  closed_by_admin: "The room was closed by an administrator"
+};
+
+/**
+ * Remove a pending file offer; returns the offer if it was still pending
+ */
+async function clearFileOffer(sessionId) {
+  clearTimeout(pendingOffers.get(sessionId));
+  pendingOffers.delete(sessionId);
+
+  const offer = await roomStore.getValue(`file-offer:${sessionId}`);
+  if (!offer) return null;
+
+  await roomStore.deleteValue(`file-offer:${sessionId}`);
+  return offer;
+}
+
+/**
+ * Give up on a file offer the receiver never answered
+ */
+async function expireFileOffer(sessionId) {
+  const offer = await clearFileOffer(sessionId);
+  if (!offer) return;
+
+  const notice = { roomId: offer.roomId, sessionId };
+  io.to([offer.senderId, offer.receiverId]).emit("file-offer-expired", notice);
+
+  await recordFileOfferOutcome(offer.roomId, sessionId, { outcome: 'expired' });
+  await transitionTransferSession(offer.roomId, sessionId, 'cancelled', { endTime: new Date() });
+  log(`[File Offer] Room: ${offer.roomId} | Session: ${sessionId} | Expired`);
+}
+
+/**
+ * Remember a room-wide message for members who join later, oldest dropped first
+ */
+function addToMessageBacklog(roomId, message) {
+  if (ROOM_MESSAGE_BACKLOG === 0) return;
+
+  const backlog = messageBacklogs.get(roomId) || [];
+  backlog.push(message);
+  if (backlog.length > ROOM_MESSAGE_BACKLOG) {
+    backlog.splice(0, backlog.length - ROOM_MESSAGE_BACKLOG);
+  }
+  messageBacklogs.set(roomId, backlog);
+}
+
+/**
+ * Delete room and notify clients
+ * reason: 'empty' | 'expired' | 'idle' | 'closed_by_host' | 'closed_by_admin'
+ */
+async function deleteRoom(roomId, reason = 'empty') {
+  if (await roomExists(roomId)) {
+    const channels = [roomId, pendingChannel(roomId)];
+    io.to(channels).emit("room-dismissed", { roomId, reason, message: DISMISS_MESSAGES[reason] });
+    await clearRoomJoinRequests(roomId);
+    io.in(channels).socketsLeave(channels);
+
+    const members = await roomStore.deleteRoom(roomId);
+    await roomStore.deleteValue(`auth-failures:${roomId}`);
+    await roomStore.deleteValue(`activity:${roomId}`);
+    await roomStore.deleteValue(`expiry-warning:${roomId}`);
+    await roomStore.deleteValue(`relay-bytes:${roomId}`);
+    messageBacklogs.delete(roomId);
+    for (const socketId of members) {
+      clearTimeout(heldSeats.get(socketId));
+      heldSeats.delete(socketId);
+      await revokeReconnectToken(socketId);
+    }
+
+    // The empty case is already closed out by trackUserLeft
+    if (reason !== 'empty') {
+      await trackRoomClosed(roomId);
+    }
+    // Transfers still open when the room goes away will never finish
+    const abandoned = await abandonRoomSessions(roomId);
+    if (abandoned > 0) transferOutcomes.inc({ outcome: 'abandoned' }, abandoned);
+    roomsDismissed.inc({ reason });
+    log(`[Room Dismissed] ID: ${roomId} - Reason: ${reason}`);
+  }
+}
+
+/**
+ * Record signaling activity for the idle TTL
+ */
+async function touchRoom(roomId) {
+  if (ROOM_IDLE_TTL_MS > 0) {
+    await roomStore.setValue(`activity:${roomId}`, Date.now(), ROOM_IDLE_TTL_MS * 2);
+  }
+}
+
+/**
+ * Dismiss rooms past their lifetime or idle TTL and warn those about to be
+ */
+async function sweepRooms() {
+  const now = Date.now();
+
+  for (const { roomId, meta } of await roomStore.listRooms()) {
+    if (!meta.createdAt) continue;
+
+    const lastActivity = (await roomStore.getValue(`activity:${roomId}`)) || meta.createdAt;
+    const expiresAt = ROOM_MAX_LIFETIME_MS > 0 ? meta.createdAt + ROOM_MAX_LIFETIME_MS : Infinity;
+    const idleAt = ROOM_IDLE_TTL_MS > 0 ? lastActivity + ROOM_IDLE_TTL_MS : Infinity;
+    const deadline = Math.min(expiresAt, idleAt);
+    if (deadline === Infinity) continue;
+
+    const reason = expiresAt <= idleAt ? 'expired' : 'idle';
+
+    if (deadline <= now) {
+      await deleteRoom(roomId, reason);
+      continue;
+    }
+
+    // Warn once per deadline; fresh activity moves the idle deadline and re-arms it
+    if (deadline - now <= ROOM_EXPIRY_WARNING_MS) {
+      const warnedFor = await roomStore.getValue(`expiry-warning:${roomId}`);
+      if (warnedFor !== deadline) {
+        await roomStore.setValue(`expiry-warning:${roomId}`, deadline, ROOM_EXPIRY_WARNING_MS * 2);
+        io.to(roomId).emit("room-expiring", { 
+          roomId, 
+          reason, 
+          expiresAt: new Date(deadline).toISOString(),
+          secondsRemaining: Math.ceil((deadline - now) / 1000)
+        });
+        log(`[Room Expiring] ID: ${roomId} - Reason: ${reason} in ${Math.ceil((deadline - now) / 1000)}s`);
+      }
+    }
+  }
+}
+
+if (ROOM_MAX_LIFETIME_MS > 0 || ROOM_IDLE_TTL_MS > 0) {
+  setInterval(() => {
+    sweepRooms().catch((err) => console.error('[Room Sweep Error]:', err.message));
+  }, ROOM_SWEEP_INTERVAL_MS).unref();
+}
+
+/**
+ * Release seats of sockets that are connected to no instance and not held
+ * for a reconnect, e.g. after an instance crashed before its held-seat
+ * timers fired. io.fetchSockets() asks every instance, and rejects if one
+ * doesn't answer, so a slow instance never loses its sockets' seats.
+ */
+async function sweepStaleMembers() {
+  const rooms = await roomStore.listRooms();
+  const liveSockets = new Set((await io.fetchSockets()).map((remote) => remote.id));
+
+  for (const { roomId, members } of rooms) {
+    if (members.length === 0) {
+      await deleteRoom(roomId, 'empty');
+      continue;
+    }
+    for (const socketId of members) {
+      if (liveSockets.has(socketId) || await roomStore.getValue(`held-seat:${socketId}`)) continue;
+      log(`[Member Sweep] Releasing stale seat | Room: ${roomId} | User: ${socketId}`);
+      await releaseSeat(socketId, roomId);
+    }
+  }
+}
+
+// A single instance always releases its own sockets' seats
+if (roomStore.name === 'redis') {
+  setInterval(() => {
+    sweepStaleMembers().catch((err) => console.error('[Member Sweep Error]:', err.message));
+  }, MEMBER_SWEEP_INTERVAL_MS).unref();
+}
+
+if (dropStore) {
+  dropStore.init()
+    .then(() => log(`[Drop Store] Storing drops in ${process.env.DROP_DIR}`))
+    .catch((err) => console.error('[Drop Store] Init error:', err.message));
+
+  setInterval(async () => {
+    try {
+      const removed = await dropStore.sweep();
+      if (removed > 0) log(`[Drop Sweep] Removed ${removed} expired blob(s)`);
+    } catch (err) {
+      console.error('[Drop Sweep Error]:', err.message);
+    }
+  }, DROP_SWEEP_INTERVAL_MS).unref();
+}
+
+io.on("connection", (socket) => {
+  log(`[Connect] Socket ID: ${socket.id}`);
+
+  // Throttle per socket and per client IP before doing any other work
+  socket.use(rateLimitEvents(socket, { 
+    socketLimiter, 
+    ipLimiter, 
+    clientIp: getSocketIp(socket, TRUST_PROXY_HOPS) 
+  }));
+
+  // Reject malformed payloads before any handler sees them
+  socket.use(validateEvents(socket));
+  // Only seated members may signal or report transfers for a room
+  socket.use(enforceRoomMembership(socket, roomStore));
+
+  // --- ROOM MANAGEMENT ---
+
+  // Payload (optional): { capacity, mode: 'pair' | 'broadcast' }
+  socket.on("create-room", async (options) => {
+    const { capacity, mode, passphrase, error } = resolveRoomOptions(
+      options && typeof options === 'object' ? options : {}
+    );
+    if (error) {
+      socket.emit("error", { code: 'INVALID_ROOM_OPTIONS', message: error });
+      return;
+    }
+
+    // Initialize room with first user, retrying on the rare ID collision
+    const meta = { 
+      creatorId: socket.id, 
+      capacity, 
+      mode, 
+      requireApproval: options?.requireApproval === true,
+      e2e: options?.e2e === true
+    };
+    if (passphrase) {
+      const { salt, hash } = await hashPassphrase(passphrase);
+      meta.passphraseSalt = salt;
+      meta.passphraseHash = hash;
+    }
+    let roomId = generateRoomId();
+    while (!(await roomStore.createRoom(roomId, socket.id, meta))) {
+      roomId = generateRoomId();
+    }
+    
+    socket.join(roomId);
+    
+    // Track analytics
+    roomsCreated.inc();
+    await trackRoomCreated(roomId, socket.id);
+    
+    const reconnectToken = await issueReconnectToken(roomId, socket.id);
+    socket.emit("room-created", { 
+      roomId, 
+      occupancy: 1, 
+      capacity, 
+      mode, 
+      isProtected: Boolean(passphrase),
+      requireApproval: meta.requireApproval,
+      e2e: meta.e2e,
+      reconnectToken,
+      ...getIceServers(socket.id)
+    }); 
+    log(`[Room Created] ID: ${roomId} | Creator: ${socket.id} | Mode: ${mode} | Capacity: ${capacity}`);
+  });
+
+  // Payload: roomId, { roomId, passphrase } for protected rooms,
+  // or { inviteToken } from a join link
+  socket.on("join-room", async (payload) => {
+    const { passphrase, inviteToken } = typeof payload === 'object' && payload !== null
+      ? payload
+      : {};
+    let roomId = typeof payload === 'object' && payload !== null ? payload.roomId : payload;
+
+    // Invite tokens carry the room, so the code itself never has to be shared
+    let invite = null;
+    if (inviteToken) {
+      invite = verifyInviteToken(inviteToken);
+      if (!invite.error && roomId && roomId !== invite.roomId) {
+        invite = { error: 'INVITE_INVALID' };
+      }
+      if (invite.error) {
+        joinsRejected.inc({ reason: invite.error });
+        socket.emit("error", { code: invite.error, message: INVITE_ERROR_MESSAGES[invite.error] });
+        return;
+      }
+      roomId = invite.roomId;
+    }
+
+    // Validate room exists
+    const roomMeta = await roomStore.getRoomMeta(roomId);
+    if (!roomMeta || (invite && invite.roomCreatedAt !== roomMeta.createdAt)) {
+      joinsRejected.inc({ reason: 'ROOM_NOT_FOUND' });
+      socket.emit("error", { 
+        code: 'ROOM_NOT_FOUND', 
+        message: "Room ID not found or has been dismissed." 
+      });
+      await logError('room_not_found', 'Room ID not found', { roomId, userId: socket.id });
+      return;
+    }
+
+    // Protected rooms require the passphrase before anything else is revealed;
+    // a host-minted invite stands in for it
+    const authError = invite ? null : await authorizeRoomJoin(socket, roomId, roomMeta, passphrase);
+    if (authError) {
+      joinsRejected.inc({ reason: authError.code });
+      socket.emit("error", authError);
+      return;
+    }
+
+    // Check if room is full
+    if (await rejectIfRoomFull(socket.id, roomId, roomMeta.capacity)) return;
+
+    // Joins that wait for the host only check the invite here; a denied or
+    // unanswered request must not use it up
+    const inviteAvailable = !invite || (roomMeta.requireApproval ? await inviteHasUses(invite) : await consumeInvite(invite));
+    if (!inviteAvailable) {
+      joinsRejected.inc({ reason: 'INVITE_EXHAUSTED' });
+      socket.emit("error", { code: 'INVITE_EXHAUSTED', message: INVITE_ERROR_MESSAGES.INVITE_EXHAUSTED });
+      return;
+    }
+
+    if (roomMeta.requireApproval) {
+      await requestJoinApproval(socket, roomId, roomMeta, payload, invite);
+      return;
+    }
+
+    await admitToRoom(roomId, socket.id, roomMeta);
+  });
+
+  // Host decision on a pending join request
+  // Payload: { userId }
+  socket.on("approve-join", async ({ userId } = {}) => {
+    const request = await takeJoinRequest(socket, userId);
+    if (!request) return;
+
+    const roomMeta = await roomStore.getRoomMeta(request.roomId);
+    if (await rejectIfRoomFull(userId, request.roomId, roomMeta.capacity)) return;
+
+    // Other joiners approved in the meantime may have used up the invite
+    if (request.invite && !(await consumeInvite(request.invite))) {
+      joinsRejected.inc({ reason: 'INVITE_EXHAUSTED' });
+      const error = { code: 'INVITE_EXHAUSTED', roomId: request.roomId, message: INVITE_ERROR_MESSAGES.INVITE_EXHAUSTED };
+      io.to(userId).emit("error", error);
+      socket.emit("error", { ...error, userId });
+      return;
+    }
+
+    log(`[Join Approved] Room: ${request.roomId} | User: ${userId}`);
+    await admitToRoom(request.roomId, userId, roomMeta);
+  });
+
+  // Payload: { userId }
+  socket.on("deny-join", async ({ userId } = {}) => {
+    const request = await takeJoinRequest(socket, userId);
+    if (!request) return;
+
+    joinsRejected.inc({ reason: 'JOIN_DENIED' });
+    io.to(userId).emit("error", { 
+      code: 'JOIN_DENIED', 
+      roomId: request.roomId,
+      message: "The host declined your request to join." 
+    });
+    log(`[Join Denied] Room: ${request.roomId} | User: ${userId}`);
+  });
+
+  // Reclaim a seat after a dropped connection
+  // Payload: { roomId, reconnectToken }
+  socket.on("rejoin-room", async ({ roomId, reconnectToken } = {}) => {
+    const seat = reconnectToken ? await roomStore.getValue(`reconnect:${reconnectToken}`) : null;
+
+    if (!seat || seat.roomId !== roomId || !(await roomExists(roomId))) {
+      joinsRejected.inc({ reason: 'REJOIN_FAILED' });
+      socket.emit("error", { 
+        code: 'REJOIN_FAILED', 
+        message: "Reconnect token is invalid or the seat has expired." 
+      });
+      return;
+    }
+
+    const previousUserId = seat.socketId;
+
+    // The token is this socket's own: it never left, and "replacing" it would
+    // disconnect the caller below
+    if (previousUserId === socket.id) {
+      socket.emit("error", { 
+        code: 'REJOIN_FAILED', 
+        message: "This connection already holds the seat." 
+      });
+      return;
+    }
+
+    // Stop the grace timer if the old socket was already gone
+    clearTimeout(heldSeats.get(previousUserId));
+    heldSeats.delete(previousUserId);
+
+    // Hand the seat over to the new socket (no leave/join is tracked for a blip).
+    // The seat may have been released since the token was read.
+    if (!(await roomStore.replaceMember(roomId, previousUserId, socket.id))) {
+      joinsRejected.inc({ reason: 'REJOIN_FAILED' });
+      socket.emit("error", { 
+        code: 'REJOIN_FAILED', 
+        message: "Reconnect token is invalid or the seat has expired." 
+      });
+      return;
+    }
+    await revokeReconnectToken(previousUserId);
+    socket.join(roomId);
+
+    // A returning host keeps the host role under its new socket ID
+    const roomMeta = await roomStore.getRoomMeta(roomId);
+    if (roomMeta?.creatorId === previousUserId) {
+      await roomStore.updateRoomMeta(roomId, { creatorId: socket.id });
+    }
+
+    // The old socket may not have timed out yet - drop it now that its seat moved
+    io.in(previousUserId).disconnectSockets(true);
+
+    const occupancy = await getRoomOccupancy(roomId);
+    const capacity = await getRoomCapacity(roomId);
+
+    socket.to(roomId).emit("peer-reconnected", { 
+      userId: socket.id,
+      previousUserId,
+      occupancy,
+      capacity
+    });
+
+    socket.emit("room-rejoined", { 
+      roomId, 
+      occupancy, 
+      capacity,
+      peers: (await roomStore.getMembers(roomId)).filter(id => id !== socket.id),
+      isFull: occupancy >= capacity,
+      previousUserId,
+      recentMessages: messageBacklogs.get(roomId) || [],
+      reconnectToken: await issueReconnectToken(roomId, socket.id),
+      ...getIceServers(socket.id)
+    });
+
+    log(`[Room Rejoined] ID: ${roomId} | User: ${socket.id} | Previous: ${previousUserId}`);
+  });
+
+  // Host ends the share for everyone
+  socket.on("close-room", async () => {
+    const roomId = await roomStore.getUserRoom(socket.id);
+    const roomMeta = roomId ? await roomStore.getRoomMeta(roomId) : null;
+
+    if (!roomMeta || roomMeta.creatorId !== socket.id) {
+      socket.emit("error", { 
+        code: 'NOT_ROOM_HOST', 
+        message: "Only the room host can close the room." 
+      });
+      return;
+    }
+
+    await deleteRoom(roomId, 'closed_by_host');
+  });
+
+  // Fresh STUN/TURN list, e.g. before the TURN credentials from room-joined expire
+  socket.on("get-ice-servers", async () => {
+    if (!(await roomStore.getUserRoom(socket.id))) {
+      socket.emit("error", { 
+        code: 'NOT_IN_ROOM', 
+        event: 'get-ice-servers',
+        message: "Join a room before requesting ICE servers." 
+      });
+      return;
+    }
+
+    socket.emit("ice-servers", getIceServers(socket.id));
+  });
+
+  // --- SIGNALING (Forwarding Logic) ---
+
+  socket.on("leave-room", async () => {
+    await cancelJoinRequest(socket.id, 'left');
+
+    const roomId = await roomStore.getUserRoom(socket.id);
+    
+    if (roomId && await roomExists(roomId)) {
+      const remainingOccupancy = await roomStore.removeMember(roomId, socket.id);
+      const capacity = await getRoomCapacity(roomId);
+      await revokeReconnectToken(socket.id);
+      socket.leave(roomId);
+
+      // Track analytics
+      await trackUserLeft(roomId, socket.id, remainingOccupancy);
+
+      if (remainingOccupancy === 0) {
+        // Room is now empty - dismiss it
+        await deleteRoom(roomId, 'empty');
+      } else {
+        // Notify remaining users
+        socket.to(roomId).emit("user-left", { 
+          userId: socket.id,
+          occupancy: remainingOccupancy,
+          capacity
+        });
+      }
+
+      socket.emit("room-left", { roomId, message: "Successfully left the room" });
+      log(`[Room Left] Room: ${roomId} | User: ${socket.id} | Remaining: ${remainingOccupancy}/${capacity}`);
+    }
+  });
+
+  // Signaling payloads may carry a targetId to address one peer (required
+  // once a room has more than two members, see relaySignal); forwarded
+  // messages carry fromId
+  // Any of the three may carry an `envelope` instead (signed/encrypted by the
+  // peers), which is forwarded untouched in place of the plain value
+  socket.on("offer", async ({ offer, envelope, roomId, targetId }) => {
+    if (await rejectPlainSdp(socket, "offer", roomId, envelope)) return;
+
+    // Track signaling event
+    await trackSignalingEvent(roomId, 'offer');
+    await touchRoom(roomId);
+    
+    // Forward Offer to the target peer (or the other peer in a pair room)
+    await relaySignal(socket, "offer", roomId, targetId, envelope !== undefined ? { envelope } : { offer });
+  });
+
+  socket.on("answer", async ({ answer, envelope, roomId, targetId }) => {
+    if (await rejectPlainSdp(socket, "answer", roomId, envelope)) return;
+
+    // Track signaling event
+    await trackSignalingEvent(roomId, 'answer');
+    await touchRoom(roomId);
+    
+    // Forward Answer back to the Initiator
+    await relaySignal(socket, "answer", roomId, targetId, envelope !== undefined ? { envelope } : { answer });
+  });
+
+  socket.on("ice-candidate", async ({ candidate, envelope, roomId, targetId }) => {
+    // Track signaling event
+    await trackSignalingEvent(roomId, 'iceCandidate');
+    await touchRoom(roomId);
+    
+    // Forward Network Candidates
+    await relaySignal(socket, "ice-candidate", roomId, targetId, envelope !== undefined ? { envelope } : { candidate });
+  });
+
+  // Peers swap public keys for end-to-end verification. The server only
+  // forwards them (nothing is stored); each side derives the short
+  // authentication string from both keys itself, so a tampering server
+  // would show up as mismatching codes.
+  // Payload: { roomId, publicKey, algorithm?, targetId? }
+  socket.on("key-exchange", async ({ roomId, publicKey, algorithm, targetId }) => {
+    await touchRoom(roomId);
+    await relaySignal(socket, "key-exchange", roomId, targetId, { publicKey, algorithm });
+  });
+
+  // --- ROOM MESSAGES ---
+
+  // Chat and text/clipboard snippets between members. kind 'snippet' marks
+  // text sent in place of a file and is counted as a lightweight transfer.
+  // Room-wide messages are kept in a short backlog for late joiners; direct
+  // messages (targetId) are not. Every recipient acks, and the sender gets a
+  // room-message-receipt per recipient.
+  // Payload: { roomId, text, kind?: 'chat' | 'snippet', targetId? }
+  // Ack: { ok: true, messageId, sentAt } or { ok: false, code, message }
+  socket.on("room-message", async ({ roomId, text, kind = 'chat', targetId }, ack) => {
+    const reply = (result) => {
+      if (typeof ack === 'function') {
+        ack(result);
+      } else if (!result.ok) {
+        socket.emit("error", { event: 'room-message', ...result });
+      }
+    };
+
+    try {
+      if (targetId && (await roomStore.getUserRoom(targetId)) !== roomId) {
+        return reply({ ok: false, code: 'PEER_NOT_FOUND', message: "Target peer is not in this room." });
+      }
+      const recipients = targetId
+        ? [targetId]
+        : (await roomStore.getMembers(roomId)).filter((id) => id !== socket.id);
+
+      const message = {
+        roomId,
+        messageId: crypto.randomUUID(),
+        fromId: socket.id,
+        kind,
+        text,
+        sentAt: new Date().toISOString()
+      };
+      if (!targetId) addToMessageBacklog(roomId, message);
+
+      reply({ ok: true, messageId: message.messageId, sentAt: message.sentAt });
+      await touchRoom(roomId);
+      await recordRoomMessage(kind, Buffer.byteLength(text));
+      log(`[Room Message] Room: ${roomId} | From: ${socket.id} | Kind: ${kind} | Recipients: ${recipients.length}`);
+
+      await Promise.all(recipients.map(async (recipientId) => {
+        let delivered = false;
+        try {
+          const receipts = await io.to(recipientId)
+            .timeout(ROOM_MESSAGE_ACK_TIMEOUT_MS)
+            .emitWithAck("room-message", targetId ? { ...message, direct: true } : message);
+          delivered = receipts.length > 0;
+        } catch {
+          // Not acked within ROOM_MESSAGE_ACK_TIMEOUT_MS
+        }
+        socket.emit("room-message-receipt", { roomId, messageId: message.messageId, userId: recipientId, delivered });
+      }));
+    } catch (error) {
+      console.error('[Room Message Error]:', error.message);
+      reply({ ok: false, code: 'MESSAGE_FAILED', message: "Message could not be sent." });
+    }
+  });
+
+  // Peers report RTCPeerConnection state changes for connection health analytics
+  // Payload: { roomId, sessionId?, peerId?, iceConnectionState, connectionState?, localCandidateType?, remoteCandidateType? }
+  socket.on("connection-state", async ({ 
+    roomId, 
+    sessionId, 
+    peerId, 
+    iceConnectionState, 
+    connectionState, 
+    localCandidateType, 
+    remoteCandidateType 
+  }) => {
+    try {
+      if (sessionId && await rejectForeignSession(socket, 'connection-state', roomStore, roomId, sessionId)) return;
+
+      // In a pair room the peer is implied
+      const otherId = peerId || (await roomStore.getMembers(roomId)).find((id) => id !== socket.id);
+      const pairKey = `${roomId}:${[socket.id, otherId || 'unknown'].sort().join(':')}`;
+      const candidatePairType = getCandidatePairType(localCandidateType, remoteCandidateType);
+
+      await recordConnectionState(roomId, sessionId, {
+        userId: socket.id,
+        peerId: otherId,
+        iceConnectionState,
+        connectionState,
+        localCandidateType,
+        remoteCandidateType,
+        candidatePairType,
+        timestamp: new Date()
+      });
+
+      if (iceConnectionState === 'connected' || iceConnectionState === 'completed') {
+        await roomStore.setValue(`ice-connected:${pairKey}`, true, CONNECTION_STATE_TTL_MS);
+      } else if (iceConnectionState === 'failed' && !(await roomStore.getValue(`ice-connected:${pairKey}`))) {
+        // Both peers usually report the failure; log the pair once
+        if ((await roomStore.incrementValue(`ice-failed:${pairKey}`, CONNECTION_STATE_TTL_MS)) === 1) {
+          await logError('connection_failed', 'Peer connection never reached connected', {
+            roomId,
+            sessionId,
+            userId: socket.id,
+            peerId: otherId,
+            connectionState,
+            localCandidateType,
+            remoteCandidateType
+          });
+        }
+      }
+
+      log(`[Connection State] Room: ${roomId} | User: ${socket.id} | ICE: ${iceConnectionState}${candidatePairType ? ` | Pair: ${candidatePairType}` : ''}`);
+    } catch (error) {
+      console.error('[Connection State Error]:', error.message);
+    }
+  });
+
+  // --- RELAY FALLBACK ---
+
+  // Unacked relay-chunk forwards from this socket
+  let relayInFlight = 0;
+
+  // Last resort when no peer connection can be established: forward file
+  // chunks over Socket.IO. Send with an ack callback and keep at most
+  // RELAY_MAX_IN_FLIGHT chunks unacked; the receiver acks each chunk it gets.
+  // Payload: { roomId, sessionId, seq, data: <binary>, targetId?, final? }
+  // Ack: { ok: true, seq } or { ok: false, seq, code, message, retryAfterMs? }
+  socket.on("relay-chunk", async ({ roomId, sessionId, seq, data, targetId, final }, ack) => {
+    const reply = (result) => {
+      if (typeof ack === 'function') {
+        ack(result);
+      } else if (!result.ok) {
+        socket.emit("error", { event: 'relay-chunk', ...result });
+      }
+    };
+    const reject = (code, message, extra = {}) => reply({ ok: false, seq, code, message, ...extra });
+
+    if (RELAY_MAX_BYTES_PER_ROOM === 0) {
+      return reject('RELAY_DISABLED', "The relay fallback is disabled on this server.");
+    }
+
+    if (relayInFlight >= RELAY_MAX_IN_FLIGHT) {
+      return reject('RELAY_BACKPRESSURE', `Wait for acks before sending more than ${RELAY_MAX_IN_FLIGHT} chunks.`);
+    }
+
+    try {
+      const receiverId = await resolveTargetPeer(socket, roomId, targetId);
+      if (!receiverId) {
+        return reject('PEER_NOT_FOUND', targetId 
+          ? "Target peer is not in this room." 
+          : "No single peer to relay to; set targetId.");
+      }
+
+      // The final chunk completes the session, which must belong to this room
+      if (final === true && await isForeignSession(roomId, sessionId)) {
+        return reject('SESSION_NOT_FOUND', "No transfer session with this ID in this room.");
+      }
+
+      // The room allowance and bandwidth are claimed up front (the counter
+      // is shared across instances) and given back if the chunk is not delivered
+      const size = data.byteLength;
+      const releaseQuota = () => roomStore.incrementValue(`relay-bytes:${roomId}`, RELAY_COUNTER_TTL_MS, -size);
+      const roomBytes = await roomStore.incrementValue(`relay-bytes:${roomId}`, RELAY_COUNTER_TTL_MS, size);
+      if (roomBytes > RELAY_MAX_BYTES_PER_ROOM) {
+        await releaseQuota();
+        return reject('RELAY_QUOTA_EXCEEDED', "This room has used up its relay allowance.");
+      }
+
+      const bandwidth = relayBandwidth.consume('relay', roomId, size);
+      if (!bandwidth.allowed) {
+        await releaseQuota();
+        return reject('RELAY_RATE_LIMITED', "Room relay bandwidth exceeded.", { retryAfterMs: bandwidth.retryAfterMs });
+      }
+      const release = async () => {
+        relayBandwidth.refund('relay', roomId, size);
+        await releaseQuota();
+      };
+
+      relayInFlight++;
+      let receipts;
+      try {
+        receipts = await io.to(receiverId)
+          .timeout(RELAY_ACK_TIMEOUT_MS)
+          .emitWithAck("relay-chunk", { roomId, sessionId, seq, data, final: final === true, fromId: socket.id });
+      } catch {
+        await release();
+        return reject('RELAY_TIMEOUT', "The receiver did not acknowledge the chunk in time.");
+      } finally {
+        relayInFlight--;
+      }
+
+      if (receipts.length === 0) {
+        await release();
+        return reject('PEER_NOT_FOUND', "Target peer is not connected.");
+      }
+
+      const sessionBytes = await roomStore.incrementValue(`relay-session:${roomId}:${sessionId}`, RELAY_COUNTER_TTL_MS, size);
+      await touchRoom(roomId);
+
+      if (final === true) {
+        await roomStore.deleteValue(`relay-session:${roomId}:${sessionId}`);
+        const result = await recordDataTransferred(roomId, sessionBytes, sessionId, { relayed: true });
+        if (result && result.outcome !== 'duplicate' && result.outcome !== 'invalid') {
+          await countCompletedTransfer(roomStore, roomId, sessionId, sessionBytes);
+        }
+        log(`[Relay Complete] Room: ${roomId} | Session: ${sessionId} | Bytes: ${sessionBytes}`);
+      }
+
+      reply({ ok: true, seq });
+    } catch (error) {
+      console.error('[Relay Chunk Error]:', error.message);
+      reject('RELAY_FAILED', "Chunk could not be relayed.");
+    }
+  });
+
+  // --- FILE OFFERS ---
+
+  // Sender asks the receiver before sending anything
+  // Payload: { roomId, sessionId, targetId?, files: [{ fileId, name, size, mimeType? }] }
+  socket.on("file-offer", async ({ roomId, sessionId, targetId, files }) => {
+    try {
+      const receiverId = await resolveTargetPeer(socket, roomId, targetId);
+      if (!receiverId) {
+        socket.emit("error", { 
+          code: 'PEER_NOT_FOUND', 
+          event: 'file-offer',
+          message: targetId ? "Target peer is not in this room." : "No single peer to offer to; set targetId." 
+        });
+        return;
+      }
+
+      if (await rejectForeignSession(socket, 'file-offer', roomStore, roomId, sessionId)) return;
+
+      if (await roomStore.getValue(`file-offer:${sessionId}`)) {
+        socket.emit("error", { 
+          code: 'OFFER_PENDING', 
+          event: 'file-offer',
+          message: "This session already has an offer waiting for an answer." 
+        });
+        return;
+      }
+
+      const expiresAt = Date.now() + FILE_OFFER_TIMEOUT_MS;
+      const offer = { roomId, sessionId, senderId: socket.id, receiverId, files, expiresAt };
+
+      // Stored past the timer so the timer can still find and expire it
+      await roomStore.setValue(`file-offer:${sessionId}`, offer, FILE_OFFER_TIMEOUT_MS * 2);
+      pendingOffers.set(sessionId, setTimeout(() => {
+        expireFileOffer(sessionId);
+      }, FILE_OFFER_TIMEOUT_MS));
+
+      io.to(receiverId).emit("file-offer", { roomId, sessionId, fromId: socket.id, files, expiresAt });
+      socket.emit("file-offer-pending", { roomId, sessionId, receiverId, expiresAt });
+
+      await recordFileOffer(roomId, sessionId, socket.id, {
+        receiverId,
+        offeredAt: new Date(),
+        filesOffered: files.length,
+        bytesOffered: files.reduce((sum, file) => sum + file.size, 0)
+      });
+      log(`[File Offer] Room: ${roomId} | Session: ${sessionId} | Files: ${files.length} | To: ${receiverId}`);
+    } catch (error) {
+      console.error('[File Offer Error]:', error.message);
+    }
+  });
+
+  // Receiver answers with the fileIds it accepts; anything not listed is declined
+  // Payload: { roomId, sessionId, accepted: [fileId] }
+  socket.on("file-offer-response", async ({ roomId, sessionId, accepted }) => {
+    try {
+      const pending = await roomStore.getValue(`file-offer:${sessionId}`);
+      if (!pending || pending.roomId !== roomId || pending.receiverId !== socket.id) {
+        socket.emit("error", { 
+          code: 'OFFER_NOT_FOUND', 
+          event: 'file-offer-response',
+          message: "No pending file offer for you in this session." 
+        });
+        return;
+      }
+
+      const offer = await clearFileOffer(sessionId);
+      if (!offer) return;
+
+      const acceptedIds = new Set(accepted.map(String));
+      const acceptedFiles = offer.files.filter((file) => acceptedIds.has(String(file.fileId)));
+      const rejected = offer.files
+        .filter((file) => !acceptedIds.has(String(file.fileId)))
+        .map((file) => file.fileId);
+
+      let outcome = 'partial';
+      if (acceptedFiles.length === 0) outcome = 'declined';
+      else if (rejected.length === 0) outcome = 'accepted';
+
+      io.to(offer.senderId).emit("file-offer-response", {
+        roomId,
+        sessionId,
+        fromId: socket.id,
+        outcome,
+        accepted: acceptedFiles.map((file) => file.fileId),
+        rejected
+      });
+
+      await recordFileOfferOutcome(roomId, sessionId, {
+        outcome,
+        filesAccepted: acceptedFiles.length,
+        bytesAccepted: acceptedFiles.reduce((sum, file) => sum + file.size, 0)
+      });
+      if (outcome === 'declined') {
+        await transitionTransferSession(roomId, sessionId, 'cancelled', { endTime: new Date() });
+      }
+      log(`[File Offer] Room: ${roomId} | Session: ${sessionId} | ${outcome} (${acceptedFiles.length}/${offer.files.length})`);
+    } catch (error) {
+      console.error('[File Offer Response Error]:', error.message);
+    }
+  });
+
+  // --- ENHANCED TRANSFER TRACKING ---
   
+  // Optional: Enhanced transfer tracking
+  handleTransferStart(socket, roomStore);
+  handleTransferComplete(socket, roomStore);
+  handleTransferPaused(socket, roomStore);
+  handleTransferResumed(socket, roomStore);
+  handleTransferFailed(socket, roomStore);
+  // Resumable transfers: receiver checkpoints and missing-chunk queries
+  handleTransferCheckpoint(socket, roomStore);
+  handleTransferResumeInfo(socket, roomStore);
+  // Per-file records within a session
+  handleFileStart(socket);
+  handleFileComplete(socket);
+  handleFileFailed(socket);
+  // Live progress: throttled fan-out to the room plus sampled history
+  handleTransferProgress(socket, { 
+    broadcastIntervalMs: PROGRESS_BROADCAST_INTERVAL_MS, 
+    sampleIntervalMs: PROGRESS_SAMPLE_INTERVAL_MS 
+  });
+
+  // --- DATA TRANSFER (Simple Analytics) ---
+
+  // Frontend emits total bytes for a completed transfer
+  // Payload: { roomId, bytes, sessionId? }
+  socket.on("data-transfer", async ({ roomId, bytes, sessionId }) => {
+    try {
+      if (sessionId && await rejectForeignSession(socket, 'data-transfer', roomStore, roomId, sessionId)) return;
+
+      const result = await recordDataTransferred(roomId, bytes, sessionId);
+      if (result && result.outcome !== 'duplicate' && result.outcome !== 'invalid') {
+        await countCompletedTransfer(roomStore, roomId, sessionId, bytes);
+        log(`[Data Transfer] Room: ${roomId} | Bytes: ${bytes}`);
+      }
+    } catch (err) {
+      console.error('[Data Transfer Error]:', err.message);
+    }
+  });
+
+  // --- CLEANUP ---
+
+  socket.on("disconnecting", async () => {
+    // Pending joiners are cleaned up like regular members
+    await cancelJoinRequest(socket.id, 'disconnected');
+
+    const roomId = await roomStore.getUserRoom(socket.id);
+    
+    if (roomId && await roomExists(roomId)) {
+      if (RECONNECT_GRACE_MS > 0) {
+        // Hold the seat so a brief network drop doesn't cost the room
+        holdSeat(socket.id, roomId);
+        socket.to(roomId).emit("peer-disconnected", { 
+          userId: socket.id,
+          graceMs: RECONNECT_GRACE_MS
+        });
+        log(`[Seat Held] Room: ${roomId} | User: ${socket.id} | Grace: ${RECONNECT_GRACE_MS}ms`);
+        return;
+      }
+
+      await releaseSeat(socket.id, roomId);
+    }
+  });
+
+  socket.on("disconnect", () => {
+    // Room cleanup happens in "disconnecting" (or when a held seat expires)
+    log(`[Disconnect] Socket ID: ${socket.id}`);
+  });
+});
+
+// --- ROOM API ENDPOINTS ---
+
+// Per-IP request budget for the room, analytics and admin APIs
+app.use(['/api/rooms', '/api/analytics', '/api/admin'], rateLimitHttp(ipLimiter));
+
+// Analytics and admin actions need an API key or signed admin token
+app.use('/api/analytics', requireScope('analytics'));
+app.use('/api/admin', requireScope('admin'));
+
+// Mint a signed invite link for a room (host only)
+// Auth: Authorization: Bearer <host's reconnectToken>
+// Body: { expiresIn?: seconds, maxUses?: number }
+app.post('/api/rooms/:roomId/invites', async (req, res) => {
+  try {
+    const { roomId } = req.params;
+    const hostToken = (req.get('authorization') || '').replace(/^Bearer\s+/i, '');
+    const roomMeta = await roomStore.getRoomMeta(roomId);
+    const seat = hostToken ? await roomStore.getValue(`reconnect:${hostToken}`) : null;
+
+    // Same response for unknown rooms so the endpoint can't be used to probe codes
+    if (!roomMeta || !seat || seat.roomId !== roomId || seat.socketId !== roomMeta.creatorId) {
+      return res.status(403).json({ error: 'Only the room host can create invites' });
+    }
+
+    const expiresInSeconds = req.body?.expiresIn ?? INVITE_DEFAULT_TTL_SECONDS;
+    const maxUses = req.body?.maxUses ?? 1;
+    if (!Number.isInteger(expiresInSeconds) || expiresInSeconds < 60 || expiresInSeconds > INVITE_MAX_TTL_SECONDS) {
+      return res.status(400).json({ error: `expiresIn must be between 60 and ${INVITE_MAX_TTL_SECONDS} seconds` });
+    }
+    if (!Number.isInteger(maxUses) || maxUses < 1 || maxUses > INVITE_MAX_USES) {
+      return res.status(400).json({ error: `maxUses must be between 1 and ${INVITE_MAX_USES}` });
+    }
+
+    const { token, expiresAt } = createInviteToken(roomId, roomMeta.createdAt, { expiresInSeconds, maxUses });
+    const baseUrl = process.env.INVITE_BASE_URL;
+
+    res.status(201).json({
+      token,
+      url: baseUrl ? `${baseUrl}${baseUrl.includes('?') ? '&' : '?'}invite=${encodeURIComponent(token)}` : null,
+      expiresAt: expiresAt.toISOString(),
+      maxUses
+    });
+    log(`[Invite Created] Room: ${roomId} | Uses: ${maxUses} | Expires: ${expiresAt.toISOString()}`);
+  } catch (error) {
+    console.error('[Invite API] Error:', error.message);
+    res.status(500).json({ error: 'Failed to create invite' });
+  }
+});
+
+// STUN/TURN list with short-lived TURN credentials for a seated room member
+// Auth: Authorization: Bearer <reconnectToken>
+app.get('/api/rooms/:roomId/ice-servers', async (req, res) => {
+  try {
+    const token = (req.get('authorization') || '').replace(/^Bearer\s+/i, '');
+    const seat = token ? await roomStore.getValue(`reconnect:${token}`) : null;
+
+    if (!seat || seat.roomId !== req.params.roomId) {
+      return res.status(403).json({ error: 'A valid reconnect token for this room is required' });
+    }
+
+    res.set('Cache-Control', 'no-store');
+    res.json(getIceServers(seat.socketId));
+  } catch (error) {
+    console.error('[ICE Servers API] Error:', error.message);
+    res.status(500).json({ error: 'Failed to issue ICE servers' });
+  }
+});
+
+// --- STORE-AND-FORWARD DROPS ---
+// The sender uploads client-encrypted blobs while in a room; the receiver
+// downloads them later with the room code and the drop key, even after the
+// room is gone. A blob is deleted once fully downloaded, or after DROP_TTL_MS.
+
+const DROP_ERRORS = {
+  ROOM_QUOTA_EXCEEDED: [413, 'This room has used up its drop allowance'],
+  STORAGE_FULL: [507, 'Drop storage is full, try again later'],
+  DROP_BOX_IN_USE: [409, 'A drop from an earlier room with this code is still stored'],
+  BLOB_NOT_FOUND: [404, 'Blob not found'],
+  ALREADY_COMPLETE: [409, 'Blob is already complete'],
+  OFFSET_MISMATCH: [409, 'offset does not match the bytes received so far'],
+  UPLOAD_IN_PROGRESS: [409, 'Another upload to this blob is running'],
+  BLOB_TOO_LARGE: [413, 'Upload exceeds the declared size']
+};
+
+function sendDropError(res, { error, received }) {
+  const [status, message] = DROP_ERRORS[error];
+  res.status(status).json({ error: message, code: error, received });
+}
+
+function bearerToken(req) {
+  return (req.get('authorization') || '').replace(/^Bearer\s+/i, '');
+}
+
+// Per-IP budget of its own: a large file is many chunk uploads
+app.use('/api/drops', rateLimitHttp(ipLimiter, 'drop'), (req, res, next) => {
+  if (!dropStore) return res.status(404).json({ error: 'Store-and-forward is not enabled on this server' });
+  next();
+});
+
+// Reserve a blob in the room's drop box (seated members only)
+// Auth: Authorization: Bearer <reconnectToken>
+// Body: { size, metadata?: string (opaque, e.g. encrypted file name) }
+app.post('/api/drops/:roomId', async (req, res) => {
+  try {
+    const { roomId } = req.params;
+    const seat = bearerToken(req) ? await roomStore.getValue(`reconnect:${bearerToken(req)}`) : null;
+    const roomMeta = seat?.roomId === roomId ? await roomStore.getRoomMeta(roomId) : null;
+    if (!roomMeta) {
+      return res.status(403).json({ error: 'A valid reconnect token for this room is required' });
+    }
+
+    const { size, metadata } = req.body || {};
+    if (!Number.isSafeInteger(size) || size < 0) {
+      return res.status(400).json({ error: 'size must be a non-negative integer' });
+    }
+    if (metadata !== undefined && (typeof metadata !== 'string' || Buffer.byteLength(metadata) > DROP_METADATA_MAX_BYTES)) {
+      return res.status(400).json({ error: `metadata must be a string of at most ${DROP_METADATA_MAX_BYTES} bytes` });
+    }
+
+    const result = await dropStore.createBlob(roomId, roomMeta.createdAt, { size, metadata });
+    if (result.error) return sendDropError(res, result);
+
+    const { blob, uploadToken, dropKey } = result;
+    res.status(201).json({
+      roomId,
+      blobId: blob.blobId,
+      size,
+      uploadToken,
+      // Only on the room's first blob; the receiver needs it to download
+      dropKey,
+      expiresAt: new Date(blob.expiresAt).toISOString()
+    });
+    log(`[Drop Created] Room: ${roomId} | Blob: ${blob.blobId} | Size: ${size}`);
+  } catch (error) {
+    console.error('[Drop API] Error:', error.message);
+    res.status(500).json({ error: 'Failed to create drop' });
+  }
+});
+
+// Append a chunk; offset must equal the bytes received so far (resume from
+// `received` after a failure)
+// Auth: Authorization: Bearer <uploadToken>
+// Query: ?offset=<bytes>   Body: raw bytes (application/octet-stream)
+app.put('/api/drops/:roomId/:blobId', async (req, res) => {
+  try {
+    const { roomId, blobId } = req.params;
+    const offset = Number(req.query.offset ?? 0);
+    if (!Number.isSafeInteger(offset) || offset < 0) {
+      return res.status(400).json({ error: 'offset must be a non-negative integer' });
+    }
+
+    const result = await dropStore.appendChunk(roomId, blobId, bearerToken(req), offset, req);
+    if (result.error) return sendDropError(res, result);
+
+    res.json({ roomId, blobId, received: result.received, complete: result.complete });
+    if (result.complete) {
+      log(`[Drop Uploaded] Room: ${roomId} | Blob: ${blobId} | Bytes: ${result.received}`);
+    }
+  } catch (error) {
+    console.error('[Drop API] Error:', error.message);
+    if (!res.headersSent) res.status(500).json({ error: 'Failed to store chunk' });
+  }
+});
+
+// Completed blobs waiting in a room's drop box
+// Auth: Authorization: Bearer <dropKey>
+app.get('/api/drops/:roomId', async (req, res) => {
+  try {
+    const blobs = await dropStore.listBlobs(req.params.roomId, bearerToken(req));
+    // Same response for unknown rooms so the endpoint can't be used to probe codes
+    if (!blobs) {
+      return res.status(403).json({ error: 'A valid drop key for this room is required' });
+    }
+
+    res.set('Cache-Control', 'no-store');
+    res.json({
+      roomId: req.params.roomId,
+      blobs: blobs.map((blob) => ({
+        blobId: blob.blobId,
+        size: blob.size,
+        metadata: blob.metadata,
+        createdAt: new Date(blob.createdAt).toISOString(),
+        expiresAt: new Date(blob.expiresAt).toISOString()
+      }))
+    });
+  } catch (error) {
+    console.error('[Drop API] Error:', error.message);
+    res.status(500).json({ error: 'Failed to list drops' });
+  }
+});
+
+// Download a blob; supports a single Range. The blob is deleted as soon as a
+// response that ends on its last byte has been sent in full.
+// Auth: Authorization: Bearer <dropKey>
+app.get('/api/drops/:roomId/:blobId', async (req, res) => {
+  try {
+    const { roomId, blobId } = req.params;
+    if (!(await dropStore.verifyDropKey(roomId, bearerToken(req)))) {
+      return res.status(403).json({ error: 'A valid drop key for this room is required' });
+    }
+
+    const blob = await dropStore.getBlob(roomId, blobId);
+    if (!blob || !blob.complete) {
+      return res.status(404).json({ error: 'Blob not found' });
+    }
+
+    let start = 0;
+    let end = blob.size - 1;
+    const ranges = req.headers.range && blob.size > 0 ? req.range(blob.size) : undefined;
+    if (ranges === -1) {
+      res.set('Content-Range', `bytes */${blob.size}`);
+      return res.status(416).json({ error: 'Range not satisfiable' });
+    }
+    // Malformed or multi-range requests get the whole blob
+    if (Array.isArray(ranges) && ranges.type === 'bytes' && ranges.length === 1) {
+      ({ start, end } = ranges[0]);
+      res.status(206).set('Content-Range', `bytes ${start}-${end}/${blob.size}`);
+    }
+
+    res.set({
+      'Accept-Ranges': 'bytes',
+      'Content-Type': 'application/octet-stream',
+      'Content-Length': String(end - start + 1),
+      'Cache-Control': 'no-store'
+    });
+    if (req.method === 'HEAD') return res.end();
+
+    // Last byte delivered: the blob is gone and counts as an async transfer
+    if (end === blob.size - 1) {
+      res.on('finish', async () => {
+        try {
+          if (!(await dropStore.deleteBlob(roomId, blobId))) return;
+          if (await recordDataTransferred(roomId, blob.size, null, { storeAndForward: true })) {
+            await countCompletedTransfer(roomStore, roomId, null, blob.size);
+          }
+          log(`[Drop Downloaded] Room: ${roomId} | Blob: ${blobId} | Bytes: ${blob.size}`);
+        } catch (error) {
+          console.error('[Drop API] Cleanup error:', error.message);
+        }
+      });
+    }
+    if (blob.size === 0) return res.end();
+
+    pipeline(dropStore.createReadStream(roomId, blobId, start, end), res).catch(() => {
+      // Client went away mid-download; the blob stays for another attempt
+    });
+  } catch (error) {
+    console.error('[Drop API] Error:', error.message);
+    if (!res.headersSent) res.status(500).json({ error: 'Failed to download drop' });
+  }
+});
+
+// --- ADMIN API ENDPOINTS ---
+
+const ADMIN_TOKEN_MAX_TTL_SECONDS = 30 * 24 * 60 * 60;
+
+// Dismiss a room for everyone in it, like close-room
+app.delete('/api/admin/rooms/:roomId', async (req, res) => {
+  try {
+    const { roomId } = req.params;
+    if (!(await roomExists(roomId))) {
+      return res.status(404).json({ error: 'Room not found' });
+    }
+
+    const members = await roomStore.getMembers(roomId);
+    await deleteRoom(roomId, 'closed_by_admin');
+    res.json({ roomId, reason: 'closed_by_admin', members: members.length });
+    log(`[Admin] ${req.admin.name} dismissed room ${roomId}`);
+  } catch (error) {
+    console.error('[Admin API] Error:', error.message);
+    res.status(500).json({ error: 'Failed to dismiss room' });
+  }
+});
+
+// Disconnect a socket on whichever instance holds it. Its seat is released
+// right away (no reconnect grace) and its reconnect token revoked.
+app.delete('/api/admin/sockets/:socketId', async (req, res) => {
+  try {
+    const { socketId } = req.params;
+    const roomId = await roomStore.getUserRoom(socketId);
+    const sockets = await io.in(socketId).fetchSockets();
+    if (!roomId && sockets.length === 0) {
+      return res.status(404).json({ error: 'Socket not found' });
+    }
+
+    await cancelJoinRequest(socketId, 'disconnected');
+    if (roomId) {
+      clearTimeout(heldSeats.get(socketId));
+      heldSeats.delete(socketId);
+      await releaseSeat(socketId, roomId);
+    }
+
+    io.to(socketId).emit("error", { 
+      code: 'DISCONNECTED_BY_ADMIN', 
+      message: "An administrator ended this connection." 
+    });
+    io.in(socketId).disconnectSockets(true);
+
+    res.json({ socketId, roomId: roomId || null, connected: sockets.length > 0 });
+    log(`[Admin] ${req.admin.name} disconnected ${socketId}${roomId ? ` from room ${roomId}` : ''}`);
+  } catch (error) {
+    console.error('[Admin API] Error:', error.message);
+    res.status(500).json({ error: 'Failed to disconnect socket' });
+  }
+});
+
+// Mint a signed, expiring token with some of the caller's scopes, e.g. a
+// read-only token for a dashboard
+// Body: { subject, scopes: [scope], expiresIn?: seconds }
+app.post('/api/admin/tokens', (req, res) => {
+  const { subject, scopes, expiresIn = 24 * 60 * 60 } = req.body || {};
+  if (typeof subject !== 'string' || !subject || subject.length > 64) {
+    return res.status(400).json({ error: 'subject must be a string of 1-64 characters' });
+  }
+  if (!Array.isArray(scopes) || !scopes.length || !scopes.every(scope => ADMIN_SCOPES.includes(scope))) {
+    return res.status(400).json({ error: `scopes must be a non-empty list of: ${ADMIN_SCOPES.join(', ')}` });
+  }
+  if (!Number.isInteger(expiresIn) || expiresIn < 60 || expiresIn > ADMIN_TOKEN_MAX_TTL_SECONDS) {
+    return res.status(400).json({ error: `expiresIn must be between 60 and ${ADMIN_TOKEN_MAX_TTL_SECONDS} seconds` });
+  }
+
+  const { token, expiresAt } = createAdminToken(subject, scopes, expiresIn);
+  res.status(201).json({ token, subject, scopes, expiresAt: expiresAt.toISOString() });
+  log(`[Admin] ${req.admin.name} issued a token for ${subject} (${scopes.join('+')})`);
+});
+
+// --- ANALYTICS API ENDPOINTS ---
+
+// Ping endpoint for keeping app alive (Render free plan, cron jobs, etc.)
+// Allows requests from any origin
+
+
+// Health check endpoint
+app.get('/health', (req, res) => {
   res.json({ 
-    totalActiveRooms: roomUsers.size,
-    rooms: activeRooms
+    status: 'ok', 
+    timestamp: new Date().toISOString(),
+    mongodb: mongoose.connection.readyState === 1 ? 'connected' : 'disconnected'
+  });
+});
+
+// Prometheus scrape endpoint (see src/utils/metrics.js). Needs a credential
+// with the analytics scope unless METRICS_PUBLIC=true.
+const METRICS_PUBLIC = process.env.METRICS_PUBLIC === 'true';
+
+createGauge({
+  name: 'swoosh_active_rooms',
+  help: 'Rooms currently open (room store wide)',
+  collect: async () => (await roomStore.listRooms()).length
+});
+createGauge({
+  name: 'swoosh_room_members',
+  help: 'Seats taken across all open rooms (room store wide)',
+  collect: async () => (await roomStore.listRooms()).reduce((sum, { members }) => sum + members.length, 0)
+});
+createGauge({
+  name: 'swoosh_connected_sockets',
+  help: 'Socket.IO clients connected to this instance',
+  collect: () => io.engine.clientsCount
+});
+
+app.get('/metrics', METRICS_PUBLIC ? (req, res, next) => next() : requireScope('analytics'), async (req, res) => {
+  try {
+    res.set('Content-Type', METRICS_CONTENT_TYPE);
+    res.send(await renderMetrics());
+  } catch (error) {
+    console.error('[Metrics] Error:', error.message);
+    res.status(500).json({ error: 'Failed to render metrics' });
+  }
+});
+
+// Longest range per granularity, to keep the number of buckets sane
+const SUMMARY_MAX_RANGE_DAYS = { hour: 31, day: 3660, week: 3660, month: 3660 };
+
+// Get analytics summary
+// Query: from?, to? (ISO timestamp or YYYY-MM-DD; default the last `days`
+// days, 7 by default), granularity? (hour|day|week|month), timezone? (IANA)
+app.get('/api/analytics/summary', async (req, res) => {
+  try {
+    const { granularity = 'day' } = req.query;
+    const timeZone = req.query.timezone || getAnalyticsTimeZone();
+    if (!isValidTimeZone(timeZone)) {
+      return res.status(400).json({ error: 'timezone must be an IANA time zone, e.g. Europe/Berlin' });
+    }
+    if (!Object.hasOwn(SUMMARY_MAX_RANGE_DAYS, granularity)) {
+      return res.status(400).json({ error: `granularity must be one of: ${Object.keys(SUMMARY_MAX_RANGE_DAYS).join(', ')}` });
+    }
+
+    const to = req.query.to ? parseDateParam(req.query.to, timeZone, { endOfDay: true }) : new Date();
+    const days = parseInt(req.query.days) || 7;
+    const from = !to || req.query.from
+      ? parseDateParam(req.query.from, timeZone)
+      : startOfDay(new Date(to.getTime() - days * 24 * 60 * 60 * 1000), timeZone);
+    if (!from || !to) {
+      return res.status(400).json({ error: 'from and to must be ISO timestamps or YYYY-MM-DD dates' });
+    }
+    if (from >= to) {
+      return res.status(400).json({ error: 'from must be before to' });
+    }
+    if (to - from > SUMMARY_MAX_RANGE_DAYS[granularity] * 24 * 60 * 60 * 1000) {
+      return res.status(400).json({ error: `At most ${SUMMARY_MAX_RANGE_DAYS[granularity]} days per request at ${granularity} granularity` });
+    }
+
+    // Label of the older days-only summary, kept for existing dashboards
+    const period = req.query.from || req.query.to ? undefined : `Last ${days} days`;
+    const summary = await getAnalyticsSummary({ from, to, granularity, timeZone, period });
+    res.json(summary);
+  } catch (error) {
+    console.error('[Analytics API] Error:', error.message);
+    res.status(500).json({ error: 'Failed to fetch analytics' });
+  }
+});
+
+const EXPORT_CONTENT_TYPES = { csv: 'text/csv; charset=utf-8', ndjson: 'application/x-ndjson' };
+
+// Stream raw analytics documents as CSV or NDJSON, one page per request
+// Query: format? (csv|ndjson), fields? (comma-separated), from?, to?,
+// timezone?, status|eventType|errorType? (comma-separated), limit?, after?
+// (X-Next-Token of the previous page)
+app.get('/api/analytics/export/:collection', async (req, res) => {
+  const { collection } = req.params;
+  if (!Object.hasOwn(EXPORT_COLLECTIONS, collection)) {
+    return res.status(404).json({ error: `collection must be one of: ${Object.keys(EXPORT_COLLECTIONS).join(', ')}` });
+  }
+  const { fields: allowedFields, defaultFields, filterField } = EXPORT_COLLECTIONS[collection];
+
+  const { format = 'csv' } = req.query;
+  if (!Object.hasOwn(EXPORT_CONTENT_TYPES, format)) {
+    return res.status(400).json({ error: 'format must be csv or ndjson' });
+  }
+
+  const fields = typeof req.query.fields === 'string'
+    ? [...new Set(req.query.fields.split(',').map(field => field.trim()).filter(Boolean))]
+    : defaultFields;
+  const unknownFields = fields.filter(field => !allowedFields.includes(field));
+  if (!fields.length || unknownFields.length) {
+    return res.status(400).json({ error: `fields must be a comma-separated list of: ${allowedFields.join(', ')}` });
+  }
+
+  for (const key of ['status', 'eventType', 'errorType']) {
+    if (req.query[key] !== undefined && key !== filterField) {
+      return res.status(400).json({ error: `${collection} can only be filtered by ${filterField}` });
+    }
+  }
+  const values = typeof req.query[filterField] === 'string'
+    ? req.query[filterField].split(',').map(value => value.trim()).filter(Boolean)
+    : [];
+  const filterValues = getFilterValues(collection);
+  if (values.some(value => !filterValues.includes(value))) {
+    return res.status(400).json({ error: `${filterField} must be a comma-separated list of: ${filterValues.join(', ')}` });
+  }
+
+  const timeZone = req.query.timezone || getAnalyticsTimeZone();
+  if (!isValidTimeZone(timeZone)) {
+    return res.status(400).json({ error: 'timezone must be an IANA time zone, e.g. Europe/Berlin' });
+  }
+  const from = req.query.from ? parseDateParam(req.query.from, timeZone) : new Date(0);
+  const to = req.query.to ? parseDateParam(req.query.to, timeZone, { endOfDay: true }) : new Date();
+  if (!from || !to) {
+    return res.status(400).json({ error: 'from and to must be ISO timestamps or YYYY-MM-DD dates' });
+  }
+  if (from >= to) {
+    return res.status(400).json({ error: 'from must be before to' });
+  }
+
+  const limit = req.query.limit === undefined ? DEFAULT_EXPORT_LIMIT : Number(req.query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_EXPORT_LIMIT) {
+    return res.status(400).json({ error: `limit must be between 1 and ${MAX_EXPORT_LIMIT}` });
+  }
+
+  const after = req.query.after === undefined ? null : decodePageToken(String(req.query.after));
+  if (req.query.after !== undefined && !after) {
+    return res.status(400).json({ error: 'Invalid page token' });
+  }
+
+  if (mongoose.connection.readyState !== 1) {
+    return res.status(503).json({ error: 'Analytics database unavailable' });
+  }
+
+  let nextToken;
+  const query = buildExportQuery(collection, { from, to, values, after });
+  try {
+    nextToken = await findNextPageToken(collection, query, limit);
+  } catch (error) {
+    console.error('[Analytics API] Error:', error.message);
+    return res.status(500).json({ error: 'Failed to export analytics' });
+  }
+
+  // Same rule as active-rooms: raw room codes need the rooms scope
+  const showCodes = hasScope(req.admin, 'rooms');
+  const mapRow = showCodes ? undefined : (row) => hashRoomCodes(row, hashRoomCode);
+
+  res.set({
+    'Content-Type': EXPORT_CONTENT_TYPES[format],
+    'Content-Disposition': `attachment; filename="${collection}.${format}"`,
+    'Cache-Control': 'no-store'
   });
+  if (nextToken) res.set('X-Next-Token', nextToken);
+
+  try {
+    await pipeline(createExportStream(collection, query, { fields, format, limit, mapRow }), res);
+  } catch (error) {
+    if (error.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+      console.error('[Analytics API] Export error:', error.message);
+    }
+    if (!res.headersSent) {
+      res.removeHeader('X-Next-Token');
+      return res.status(500).json({ error: 'Failed to export analytics' });
+    }
+    // A cut-off body is the client's signal to retry the page with the same token
+    res.destroy();
+  }
+});
+
+// Get current active rooms count
+app.get('/api/analytics/active-rooms', async (req, res) => {
+  try {
+    const rooms = await roomStore.listRooms();
+    // Live codes are joinable; only credentials with the rooms scope see them
+    const showCodes = hasScope(req.admin, 'rooms');
+    const activeRooms = rooms.map(({ roomId, members, meta }) => {
+      const capacity = meta.capacity || DEFAULT_ROOM_CAPACITY;
+      return { 
+        id: roomCodeFor(req.admin, roomId), 
+        userCount: members.length,
+        capacity,
+        mode: meta.mode || 'pair',
+        isProtected: Boolean(meta.passphraseHash),
+        isFull: members.length >= capacity
+      };
+    });
+    
+    res.json({ 
+      totalActiveRooms: rooms.length,
+      codesHashed: !showCodes,
+      rooms: activeRooms
+    });
+  } catch (error) {
+    console.error('[Analytics API] Error:', error.message);
+    res.status(500).json({ error: 'Failed to fetch active rooms' });
+  }
+});
+
+// Progress history (sampled throughput points) of one transfer session
+app.get('/api/analytics/sessions/:sessionId/progress', async (req, res) => {
+  try {
+    const session = await getTransferProgress(req.params.sessionId);
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    // Session IDs appear in exports, so the room code is hashed like there
+    res.json({
+      sessionId: session.sessionId,
+      roomId: roomCodeFor(req.admin, session.roomId),
+      status: session.status,
+      totalBytes: session.totalBytes,
+      startTime: session.startTime,
+      endTime: session.endTime,
+      lastProgress: session.metadata?.lastProgress || null,
+      samples: session.progressSamples || []
+    });
+  } catch (error) {
+    console.error('[Analytics API] Error:', error.message);
+    res.status(500).json({ error: 'Failed to fetch session progress' });
+  }
 });
 
 const PORT = process.env.PORT || 5000;
@@ -0,0 +1,285 @@
+import fs from 'fs';
+import fsp from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+
+/**
+ * Store-and-forward blob store (local disk)
+ *
+ * Lets a sender leave files for a receiver who is not online. Layout:
+ *
+ *   <dir>/<roomId>/box.json               hashed drop key, owning room
+ *   <dir>/<roomId>/<blobId>.json + .bin   blob metadata and bytes
+ *
+ * Blobs are opaque: clients encrypt before uploading, so the server only
+ * holds ciphertext plus an opaque `metadata` string. Each blob declares its
+ * size up front; the size is reserved against the per-room cap and the
+ * global quota when the blob is created, so slow uploads can't overfill the
+ * disk. Blobs expire ttlMs after creation; a room's box goes away with its
+ * last blob.
+ *
+ * The directory is local to this instance; with several instances it must be
+ * a shared volume, or drops must be pinned to one instance.
+ *
+ * Methods return { error } objects for expected failures:
+ *   createBlob(roomId, roomCreatedAt, { size, metadata }) -> { blob, uploadToken, dropKey? }
+ *   appendChunk(roomId, blobId, uploadToken, offset, source) -> { received, complete }
+ */
+
+const ID_PATTERN = /^[a-f0-9]{32}$/;
+const ROOM_PATTERN = /^[A-Z0-9]{6}$/;
+
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+function secretMatches(secret, hash) {
+  if (typeof secret !== 'string' || !secret || typeof hash !== 'string') return false;
+  const actual = Buffer.from(hashSecret(secret), 'hex');
+  const expected = Buffer.from(hash, 'hex');
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+async function readJson(file) {
+  try {
+    return JSON.parse(await fsp.readFile(file, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+async function fileSize(file) {
+  try {
+    return (await fsp.stat(file)).size;
+  } catch (error) {
+    if (error.code === 'ENOENT') return 0;
+    throw error;
+  }
+}
+
+export function createDropStore({ dir, ttlMs, maxRoomBytes, maxTotalBytes }) {
+  // Bytes reserved by every blob on disk (declared sizes, not bytes received)
+  let reservedBytes = 0;
+  // Blob keys ("roomId/blobId") with an upload running on this instance
+  const uploading = new Set();
+  // Create/delete for one room run one at a time: Map<RoomID, Promise>
+  const roomQueues = new Map();
+
+  const roomDir = (roomId) => path.join(dir, roomId);
+  const metaPath = (roomId, blobId) => path.join(dir, roomId, `${blobId}.json`);
+  const dataPath = (roomId, blobId) => path.join(dir, roomId, `${blobId}.bin`);
+
+  function withRoomLock(roomId, task) {
+    const previous = roomQueues.get(roomId) || Promise.resolve();
+    const next = previous.then(task);
+    const settled = next.catch(() => {});
+    roomQueues.set(roomId, settled);
+    settled.then(() => {
+      if (roomQueues.get(roomId) === settled) roomQueues.delete(roomId);
+    });
+    return next;
+  }
+
+  async function listBlobMetas(roomId) {
+    let entries;
+    try {
+      entries = await fsp.readdir(roomDir(roomId));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const metas = [];
+    for (const entry of entries) {
+      const blobId = entry.slice(0, -'.json'.length);
+      if (!entry.endsWith('.json') || !ID_PATTERN.test(blobId)) continue;
+      const meta = await readJson(metaPath(roomId, blobId));
+      if (meta) metas.push(meta);
+    }
+    return metas;
+  }
+
+  // Caller holds the room lock
+  async function removeBlob(roomId, blobId) {
+    const meta = await readJson(metaPath(roomId, blobId));
+    if (!meta) return false;
+
+    await fsp.rm(metaPath(roomId, blobId), { force: true });
+    await fsp.rm(dataPath(roomId, blobId), { force: true });
+    reservedBytes = Math.max(0, reservedBytes - meta.size);
+
+    if ((await listBlobMetas(roomId)).length === 0) {
+      await fsp.rm(roomDir(roomId), { recursive: true, force: true });
+    }
+    return true;
+  }
+
+  async function getBlob(roomId, blobId) {
+    if (!ROOM_PATTERN.test(roomId) || !ID_PATTERN.test(blobId)) return null;
+
+    const meta = await readJson(metaPath(roomId, blobId));
+    if (!meta || meta.expiresAt <= Date.now()) return null;
+    return { ...meta, received: await fileSize(dataPath(roomId, blobId)) };
+  }
+
+  return {
+    /**
+     * Create the directory and count what earlier runs left behind
+     */
+    async init() {
+      await fsp.mkdir(dir, { recursive: true });
+      reservedBytes = 0;
+      for (const roomId of await fsp.readdir(dir)) {
+        if (!ROOM_PATTERN.test(roomId)) continue;
+        for (const meta of await listBlobMetas(roomId)) {
+          reservedBytes += meta.size;
+        }
+      }
+    },
+
+    getBlob,
+
+    /**
+     * Reserve space for a new blob. The first blob of a room also creates
+     * the room's box and returns its dropKey (only its hash is kept).
+     * A box left by an earlier room with the same code is never reused.
+     */
+    createBlob(roomId, roomCreatedAt, { size, metadata }) {
+      return withRoomLock(roomId, async () => {
+        const metas = await listBlobMetas(roomId);
+        const roomBytes = metas.reduce((sum, meta) => sum + meta.size, 0);
+        if (roomBytes + size > maxRoomBytes) return { error: 'ROOM_QUOTA_EXCEEDED' };
+        if (reservedBytes + size > maxTotalBytes) return { error: 'STORAGE_FULL' };
+
+        await fsp.mkdir(roomDir(roomId), { recursive: true });
+        const boxPath = path.join(roomDir(roomId), 'box.json');
+        let box = await readJson(boxPath);
+        let dropKey;
+        if (!box) {
+          dropKey = crypto.randomBytes(24).toString('base64url');
+          box = { roomId, roomCreatedAt, dropKeyHash: hashSecret(dropKey), createdAt: Date.now() };
+          await fsp.writeFile(boxPath, JSON.stringify(box));
+        } else if (box.roomCreatedAt !== roomCreatedAt) {
+          return { error: 'DROP_BOX_IN_USE' };
+        }
+
+        const uploadToken = crypto.randomBytes(24).toString('base64url');
+        const now = Date.now();
+        const blob = {
+          blobId: crypto.randomBytes(16).toString('hex'),
+          roomId,
+          size,
+          metadata,
+          uploadTokenHash: hashSecret(uploadToken),
+          complete: size === 0,
+          createdAt: now,
+          expiresAt: now + ttlMs
+        };
+        await fsp.writeFile(dataPath(roomId, blob.blobId), '');
+        await fsp.writeFile(metaPath(roomId, blob.blobId), JSON.stringify(blob));
+        reservedBytes += size;
+
+        return { blob, uploadToken, dropKey };
+      });
+    },
+
+    /**
+     * Append bytes to a blob. offset must equal the bytes already received,
+     * so an interrupted upload resumes from there. The blob is complete once
+     * it holds its declared size.
+     */
+    async appendChunk(roomId, blobId, uploadToken, offset, source) {
+      const blob = await getBlob(roomId, blobId);
+      if (!blob || !secretMatches(uploadToken, blob.uploadTokenHash)) return { error: 'BLOB_NOT_FOUND' };
+      if (blob.complete) return { error: 'ALREADY_COMPLETE', received: blob.received };
+      if (offset !== blob.received) return { error: 'OFFSET_MISMATCH', received: blob.received };
+
+      const key = `${roomId}/${blobId}`;
+      if (uploading.has(key)) return { error: 'UPLOAD_IN_PROGRESS', received: blob.received };
+      uploading.add(key);
+
+      try {
+        const limit = blob.size - blob.received;
+        let written = 0;
+        const cap = new Transform({
+          transform(chunk, encoding, callback) {
+            written += chunk.length;
+            if (written > limit) return callback(Object.assign(new Error('Blob larger than declared'), { code: 'BLOB_TOO_LARGE' }));
+            callback(null, chunk);
+          }
+        });
+
+        try {
+          await pipeline(source, cap, fs.createWriteStream(dataPath(roomId, blobId), { flags: 'a' }));
+        } catch (error) {
+          if (error.code !== 'BLOB_TOO_LARGE') throw error;
+          await fsp.truncate(dataPath(roomId, blobId), offset);
+          return { error: 'BLOB_TOO_LARGE', received: offset };
+        }
+
+        const received = blob.received + written;
+        const complete = received === blob.size;
+        if (complete) {
+          const meta = { ...blob, complete, completedAt: Date.now() };
+          delete meta.received;
+          await fsp.writeFile(metaPath(roomId, blobId), JSON.stringify(meta));
+        }
+        return { received, complete };
+      } finally {
+        uploading.delete(key);
+      }
+    },
+
+    /**
+     * Completed blobs of a room, for the holder of the room's drop key
+     */
+    async listBlobs(roomId, dropKey) {
+      if (!ROOM_PATTERN.test(roomId)) return null;
+
+      const box = await readJson(path.join(roomDir(roomId), 'box.json'));
+      if (!box || !secretMatches(dropKey, box.dropKeyHash)) return null;
+
+      const now = Date.now();
+      return (await listBlobMetas(roomId))
+        .filter((meta) => meta.complete && meta.expiresAt > now)
+        .sort((a, b) => a.createdAt - b.createdAt);
+    },
+
+    async verifyDropKey(roomId, dropKey) {
+      if (!ROOM_PATTERN.test(roomId)) return false;
+      const box = await readJson(path.join(roomDir(roomId), 'box.json'));
+      return Boolean(box) && secretMatches(dropKey, box.dropKeyHash);
+    },
+
+    // Inclusive byte range, as produced by req.range()
+    createReadStream(roomId, blobId, start, end) {
+      return fs.createReadStream(dataPath(roomId, blobId), { start, end });
+    },
+
+    /**
+     * Returns true if this call removed the blob (false if already gone)
+     */
+    deleteBlob(roomId, blobId) {
+      return withRoomLock(roomId, () => removeBlob(roomId, blobId));
+    },
+
+    /**
+     * Remove expired blobs; returns how many were removed
+     */
+    async sweep() {
+      let removed = 0;
+      const now = Date.now();
+      for (const roomId of await fsp.readdir(dir)) {
+        if (!ROOM_PATTERN.test(roomId)) continue;
+        for (const meta of await listBlobMetas(roomId)) {
+          if (meta.expiresAt > now) continue;
+          if (await withRoomLock(roomId, () => removeBlob(roomId, meta.blobId))) removed++;
+        }
+      }
+      return removed;
+    }
+  };
+}
@@ -0,0 +1,62 @@
+import Redis from 'ioredis';
+import { createAdapter } from '@socket.io/redis-adapter';
+import { createMemoryStore } from './memoryStore.js';
+import { createRedisStore } from './redisStore.js';
+
+/**
+ * Room state store
+ *
+ * Both stores expose the same async interface:
+ *   createRoom(roomId, socketId, meta)      -> boolean (false if the ID is taken)
+ *   roomExists(roomId)                      -> boolean
+ *   getRoomMeta(roomId) / updateRoomMeta(roomId, patch)
+ *   deleteRoom(roomId)                      -> SocketID[] that were in the room
+ *   addMember(roomId, socketId)             -> new occupancy
+ *   removeMember(roomId, socketId)          -> remaining occupancy
+ *   replaceMember(roomId, oldId, newId)     -> boolean
+ *   getMembers(roomId) / getOccupancy(roomId) / getUserRoom(socketId)
+ *   listRooms()                             -> [{ roomId, members, meta }]
+ *   setValue(key, value, ttlMs) / getValue(key) / deleteValue(key)
+ *   incrementValue(key, ttlMs, amount = 1)  -> new count (TTL set on first increment)
+ *   close()
+ */
+
+/**
+ * Create the room store for this instance.
+ *
+ * With REDIS_URL set, room state lives in Redis and the Socket.IO Redis
+ * adapter is attached so room broadcasts and direct emits (offer, answer,
+ * ice-candidate) reach sockets connected to other instances. Otherwise
+ * everything stays in process memory.
+ *
+ * roomTtlMs: upper bound on how long a room's Redis keys live (0 for none)
+ */
+export function createRoomStore(io, log = () => {}, { roomTtlMs = 0 } = {}) {
+  const redisUrl = process.env.REDIS_URL;
+  const keyPrefix = process.env.REDIS_KEY_PREFIX || 'swoosh:';
+
+  if (!redisUrl) {
+    log('[Room Store] Using in-memory store');
+    return createMemoryStore();
+  }
+
+  const pubClient = new Redis(redisUrl);
+  const subClient = pubClient.duplicate();
+
+  pubClient.on('error', (err) => console.error('[Redis] Error:', err.message));
+  subClient.on('error', (err) => console.error('[Redis] Subscriber error:', err.message));
+
+  io.adapter(createAdapter(pubClient, subClient, {
+    key: `${keyPrefix}socket.io`
+  }));
+
+  log(`[Room Store] Using Redis store at ${redisUrl.replace(/\/\/[^@]*@/, '//')}`);
+
+  const store = createRedisStore(pubClient, keyPrefix, { roomTtlMs });
+  const closeStore = store.close;
+  store.close = async () => {
+    await closeStore();
+    await subClient.quit();
+  };
+  return store;
+}
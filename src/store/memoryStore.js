@@ -0,0 +1,160 @@
+/**
+ * In-memory room store (default)
+ *
+ * Keeps room state in process-local Maps. Suitable for a single signaling
+ * instance; use the Redis store when running more than one.
+ *
+ * Expired values are dropped when read and by a periodic sweep, so keys that
+ * are written once and never read again don't pile up.
+ */
+const VALUE_SWEEP_INTERVAL_MS = 60 * 1000;
+
+export function createMemoryStore({ sweepIntervalMs = VALUE_SWEEP_INTERVAL_MS } = {}) {
+  // Map<RoomID, Set<SocketID>> - Tracks connected users in each room
+  // Map<SocketID, RoomID> - Tracks which room a socket belongs to
+  // Map<RoomID, Object> - Room metadata (creator, settings)
+  // Map<Key, { value, expiresAt }> - Short-lived values (reconnect tokens, etc.)
+  const roomUsers = new Map();
+  const userRoomMap = new Map();
+  const roomMeta = new Map();
+  const values = new Map();
+
+  function readValue(key) {
+    const entry = values.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+      values.delete(key);
+      return null;
+    }
+    return entry;
+  }
+
+  function sweepValues() {
+    const now = Date.now();
+    for (const [key, entry] of values) {
+      if (entry.expiresAt && entry.expiresAt <= now) values.delete(key);
+    }
+  }
+
+  const sweepTimer = setInterval(sweepValues, sweepIntervalMs);
+  sweepTimer.unref();
+
+  return {
+    name: 'memory',
+
+    async createRoom(roomId, socketId, meta = {}) {
+      if (roomUsers.has(roomId)) return false;
+      roomUsers.set(roomId, new Set([socketId]));
+      roomMeta.set(roomId, { ...meta, createdAt: Date.now() });
+      userRoomMap.set(socketId, roomId);
+      return true;
+    },
+
+    async roomExists(roomId) {
+      return roomUsers.has(roomId);
+    },
+
+    async getRoomMeta(roomId) {
+      return roomMeta.get(roomId) || null;
+    },
+
+    async updateRoomMeta(roomId, patch) {
+      const meta = roomMeta.get(roomId);
+      if (!meta) return null;
+      const updated = { ...meta, ...patch };
+      roomMeta.set(roomId, updated);
+      return updated;
+    },
+
+    async deleteRoom(roomId) {
+      const members = Array.from(roomUsers.get(roomId) || []);
+      for (const socketId of members) {
+        if (userRoomMap.get(socketId) === roomId) {
+          userRoomMap.delete(socketId);
+        }
+      }
+      roomUsers.delete(roomId);
+      roomMeta.delete(roomId);
+      return members;
+    },
+
+    async addMember(roomId, socketId) {
+      const members = roomUsers.get(roomId);
+      if (!members) return 0;
+      members.add(socketId);
+      userRoomMap.set(socketId, roomId);
+      return members.size;
+    },
+
+    async removeMember(roomId, socketId) {
+      const members = roomUsers.get(roomId);
+      if (userRoomMap.get(socketId) === roomId) {
+        userRoomMap.delete(socketId);
+      }
+      if (!members) return 0;
+      members.delete(socketId);
+      return members.size;
+    },
+
+    async replaceMember(roomId, oldSocketId, newSocketId) {
+      const members = roomUsers.get(roomId);
+      if (!members || !members.has(oldSocketId)) return false;
+      members.delete(oldSocketId);
+      members.add(newSocketId);
+      userRoomMap.delete(oldSocketId);
+      userRoomMap.set(newSocketId, roomId);
+      return true;
+    },
+
+    async getMembers(roomId) {
+      return Array.from(roomUsers.get(roomId) || []);
+    },
+
+    async getOccupancy(roomId) {
+      return roomUsers.get(roomId)?.size || 0;
+    },
+
+    async getUserRoom(socketId) {
+      return userRoomMap.get(socketId) || null;
+    },
+
+    async listRooms() {
+      return Array.from(roomUsers.entries()).map(([roomId, members]) => ({
+        roomId,
+        members: Array.from(members),
+        meta: roomMeta.get(roomId) || {}
+      }));
+    },
+
+    async setValue(key, value, ttlMs = 0) {
+      values.set(key, { value, expiresAt: ttlMs > 0 ? Date.now() + ttlMs : 0 });
+    },
+
+    async getValue(key) {
+      return readValue(key)?.value ?? null;
+    },
+
+    async deleteValue(key) {
+      values.delete(key);
+    },
+
+    async incrementValue(key, ttlMs = 0, amount = 1) {
+      const entry = readValue(key);
+      const value = (Number(entry?.value) || 0) + amount;
+      values.set(key, {
+        value,
+        expiresAt: entry ? entry.expiresAt : (ttlMs > 0 ? Date.now() + ttlMs : 0)
+      });
+      return value;
+    },
+
+    // Values held right now, including expired ones the sweep hasn't reached
+    countValues() {
+      return values.size;
+    },
+
+    async close() {
+      clearInterval(sweepTimer);
+    }
+  };
+}
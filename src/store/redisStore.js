@@ -0,0 +1,181 @@
+/**
+ * Redis room store
+ *
+ * Keeps room state in any Redis-protocol server (Redis, Valkey, KeyDB) so
+ * several signaling instances behind a load balancer share the same rooms.
+ *
+ * Keys (under keyPrefix):
+ *   rooms                  Set<RoomID>
+ *   room:<id>:meta         JSON room metadata (exists while the room is active)
+ *   room:<id>:members      Set<SocketID>
+ *   socket:<id>:room       RoomID the socket belongs to
+ *   value:<key>            Short-lived values (reconnect tokens, etc.)
+ *
+ * With roomTtlMs set, a room's meta, members and socket keys expire that long
+ * after the room was created, so rooms left behind by a crashed instance go
+ * away even if nothing else cleans them up. Rooms whose meta has expired are
+ * dropped from the rooms index the next time it is listed.
+ *
+ * @param {import('ioredis').Redis} redis - Connected client used for commands
+ * @param {string} keyPrefix - Namespace for every key (REDIS_KEY_PREFIX)
+ * @param {{ roomTtlMs?: number }} options
+ */
+export function createRedisStore(redis, keyPrefix = 'swoosh:', { roomTtlMs = 0 } = {}) {
+  const roomsKey = () => `${keyPrefix}rooms`;
+  const metaKey = (roomId) => `${keyPrefix}room:${roomId}:meta`;
+  const membersKey = (roomId) => `${keyPrefix}room:${roomId}:members`;
+  const socketKey = (socketId) => `${keyPrefix}socket:${socketId}:room`;
+  const valueKey = (key) => `${keyPrefix}value:${key}`;
+
+  // Remaining TTL of a room in ms: 0 if it has none, null if the room is gone
+  async function roomTtlLeft(roomId) {
+    const ttlMs = await redis.pttl(metaKey(roomId));
+    if (ttlMs === -2) return null;
+    return ttlMs > 0 ? ttlMs : 0;
+  }
+
+  function setSocketRoom(tx, socketId, roomId, ttlMs) {
+    return ttlMs > 0 ? tx.set(socketKey(socketId), roomId, 'PX', ttlMs) : tx.set(socketKey(socketId), roomId);
+  }
+
+  return {
+    name: 'redis',
+
+    async createRoom(roomId, socketId, meta = {}) {
+      const payload = JSON.stringify({ ...meta, createdAt: Date.now() });
+      const created = roomTtlMs > 0
+        ? await redis.set(metaKey(roomId), payload, 'PX', roomTtlMs, 'NX')
+        : await redis.set(metaKey(roomId), payload, 'NX');
+      if (!created) return false;
+
+      const tx = redis.multi()
+        .sadd(roomsKey(), roomId)
+        .sadd(membersKey(roomId), socketId);
+      setSocketRoom(tx, socketId, roomId, roomTtlMs);
+      if (roomTtlMs > 0) tx.pexpire(membersKey(roomId), roomTtlMs);
+      await tx.exec();
+      return true;
+    },
+
+    async roomExists(roomId) {
+      return (await redis.exists(metaKey(roomId))) === 1;
+    },
+
+    async getRoomMeta(roomId) {
+      const raw = await redis.get(metaKey(roomId));
+      return raw ? JSON.parse(raw) : null;
+    },
+
+    async updateRoomMeta(roomId, patch) {
+      const meta = await this.getRoomMeta(roomId);
+      if (!meta) return null;
+      const updated = { ...meta, ...patch };
+      await redis.set(metaKey(roomId), JSON.stringify(updated), 'XX', 'KEEPTTL');
+      return updated;
+    },
+
+    async deleteRoom(roomId) {
+      const members = await redis.smembers(membersKey(roomId));
+      const tx = redis.multi()
+        .srem(roomsKey(), roomId)
+        .del(metaKey(roomId), membersKey(roomId));
+      for (const socketId of members) {
+        tx.del(socketKey(socketId));
+      }
+      await tx.exec();
+      return members;
+    },
+
+    async addMember(roomId, socketId) {
+      const ttlMs = await roomTtlLeft(roomId);
+      if (ttlMs === null) return 0;
+      const tx = redis.multi().sadd(membersKey(roomId), socketId);
+      setSocketRoom(tx, socketId, roomId, ttlMs);
+      // The members set is recreated if it had emptied out
+      if (ttlMs > 0) tx.pexpire(membersKey(roomId), ttlMs);
+      const results = await tx.scard(membersKey(roomId)).exec();
+      return results[results.length - 1][1];
+    },
+
+    async removeMember(roomId, socketId) {
+      if ((await redis.get(socketKey(socketId))) === roomId) {
+        await redis.del(socketKey(socketId));
+      }
+      const results = await redis.multi()
+        .srem(membersKey(roomId), socketId)
+        .scard(membersKey(roomId))
+        .exec();
+      return results[1][1];
+    },
+
+    async replaceMember(roomId, oldSocketId, newSocketId) {
+      const isMember = await redis.sismember(membersKey(roomId), oldSocketId);
+      if (!isMember) return false;
+      const ttlMs = (await roomTtlLeft(roomId)) || 0;
+      const tx = redis.multi()
+        .srem(membersKey(roomId), oldSocketId)
+        .sadd(membersKey(roomId), newSocketId)
+        .del(socketKey(oldSocketId));
+      setSocketRoom(tx, newSocketId, roomId, ttlMs);
+      await tx.exec();
+      return true;
+    },
+
+    async getMembers(roomId) {
+      return redis.smembers(membersKey(roomId));
+    },
+
+    async getOccupancy(roomId) {
+      return redis.scard(membersKey(roomId));
+    },
+
+    async getUserRoom(socketId) {
+      return redis.get(socketKey(socketId));
+    },
+
+    async listRooms() {
+      const roomIds = await redis.smembers(roomsKey());
+      const rooms = await Promise.all(roomIds.map(async (roomId) => ({
+        roomId,
+        members: await this.getMembers(roomId),
+        meta: await this.getRoomMeta(roomId)
+      })));
+
+      // Meta expired (roomTtlMs) or the room was half-deleted: drop it from the index
+      const stale = rooms.filter(room => !room.meta).map(room => room.roomId);
+      if (stale.length) await redis.srem(roomsKey(), ...stale);
+      return rooms.filter(room => room.meta);
+    },
+
+    async setValue(key, value, ttlMs = 0) {
+      const payload = JSON.stringify(value);
+      if (ttlMs > 0) {
+        await redis.set(valueKey(key), payload, 'PX', ttlMs);
+      } else {
+        await redis.set(valueKey(key), payload);
+      }
+    },
+
+    async getValue(key) {
+      const raw = await redis.get(valueKey(key));
+      return raw ? JSON.parse(raw) : null;
+    },
+
+    async deleteValue(key) {
+      await redis.del(valueKey(key));
+    },
+
+    async incrementValue(key, ttlMs = 0, amount = 1) {
+      const value = await redis.incrby(valueKey(key), amount);
+      // The TTL starts with the first increment and is not extended afterwards
+      if (value === amount && ttlMs > 0) {
+        await redis.pexpire(valueKey(key), ttlMs);
+      }
+      return value;
+    },
+
+    async close() {
+      await redis.quit();
+    }
+  };
+}
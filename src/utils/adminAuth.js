@@ -0,0 +1,147 @@
+import crypto from 'crypto';
+
+/**
+ * Admin API authentication
+ *
+ * Requests send `Authorization: Bearer <credential>`, where the credential is
+ * either a static API key or a signed token:
+ *
+ *   ADMIN_API_KEYS=ops:<key>:admin,dashboard:<key>:analytics
+ *     Comma-separated name:key:scopes entries; several scopes are joined
+ *     with "+". Keys must not contain "," or ":".
+ *
+ *   Signed token: base64url(JSON payload) + '.' + base64url(HMAC-SHA256 signature)
+ *     Payload: { sub: name, scp: [scopes], exp: unix seconds }
+ *     Signed with ADMIN_TOKEN_SECRET; minted by POST /api/admin/tokens.
+ *
+ * Scopes:
+ *   analytics  Analytics endpoints; room codes in listings are hashed
+ *   rooms      Room codes in listings are shown as-is
+ *   admin      Dismiss rooms, disconnect sockets, mint tokens; implies all scopes
+ */
+
+export const ADMIN_SCOPES = ['analytics', 'rooms', 'admin'];
+
+// Resolved on first use so values from .env (loaded after imports) are picked up
+let apiKeys = null;
+let tokenSecret = null;
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest();
+}
+
+// [{ name, keyHash, scopes }]
+function getApiKeys() {
+  if (!apiKeys) {
+    apiKeys = [];
+    for (const entry of (process.env.ADMIN_API_KEYS || '').split(',').map(part => part.trim()).filter(Boolean)) {
+      const [name, key, scopeList, ...rest] = entry.split(':');
+      const scopes = (scopeList || '').split('+').filter(Boolean);
+      if (!name || !key || rest.length || !scopes.length || !scopes.every(scope => ADMIN_SCOPES.includes(scope))) {
+        console.warn(`[Admin Auth] Ignoring malformed API key entry "${name || entry.slice(0, 8)}" (expected name:key:scope+scope)`);
+        continue;
+      }
+      apiKeys.push({ name, keyHash: hashKey(key), scopes });
+    }
+  }
+  return apiKeys;
+}
+
+function getSecret() {
+  if (!tokenSecret) {
+    tokenSecret = process.env.ADMIN_TOKEN_SECRET;
+    if (!tokenSecret) {
+      tokenSecret = crypto.randomBytes(32).toString('hex');
+      console.warn('[Admin Auth] ADMIN_TOKEN_SECRET not set - using a random per-process secret (admin tokens and hashed room codes will not survive restarts or match across instances)');
+    }
+  }
+  return tokenSecret;
+}
+
+function sign(encodedPayload) {
+  return crypto.createHmac('sha256', getSecret()).update(encodedPayload).digest('base64url');
+}
+
+export function hasScope(principal, scope) {
+  return Boolean(principal) && (principal.scopes.includes('admin') || principal.scopes.includes(scope));
+}
+
+// Mint a signed token carrying a subset of scopes
+export function createAdminToken(subject, scopes, expiresInSeconds) {
+  const payload = { sub: subject, scp: scopes, exp: Math.floor(Date.now() / 1000) + expiresInSeconds };
+  const encodedPayload = Buffer.from(JSON.stringify(payload)).toString('base64url');
+
+  return {
+    token: `${encodedPayload}.${sign(encodedPayload)}`,
+    expiresAt: new Date(payload.exp * 1000)
+  };
+}
+
+function verifyAdminToken(token) {
+  const [encodedPayload, signature, ...rest] = token.split('.');
+  if (!encodedPayload || !signature || rest.length) return null;
+
+  const expected = Buffer.from(sign(encodedPayload));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString());
+  } catch {
+    return null;
+  }
+
+  if (!Array.isArray(payload.scp) || !(payload.exp * 1000 > Date.now())) return null;
+  return { name: payload.sub, scopes: payload.scp.filter(scope => ADMIN_SCOPES.includes(scope)) };
+}
+
+/**
+ * Resolve a bearer credential to { name, scopes }, or null
+ */
+export function authenticateAdmin(credential) {
+  if (typeof credential !== 'string' || !credential || credential.length > 2048) return null;
+
+  if (credential.includes('.')) return verifyAdminToken(credential);
+
+  const keyHash = hashKey(credential);
+  const match = getApiKeys().find(entry => crypto.timingSafeEqual(entry.keyHash, keyHash));
+  return match ? { name: match.name, scopes: match.scopes } : null;
+}
+
+/**
+ * Express middleware: 401 without a valid credential, 403 without the scope.
+ * Sets req.admin = { name, scopes }.
+ */
+export function requireScope(scope) {
+  return (req, res, next) => {
+    const credential = (req.get('authorization') || '').replace(/^Bearer\s+/i, '');
+    const principal = authenticateAdmin(credential);
+
+    if (!principal) {
+      res.set('WWW-Authenticate', 'Bearer');
+      return res.status(401).json({ error: 'A valid admin API key or token is required' });
+    }
+    if (!hasScope(principal, scope)) {
+      return res.status(403).json({ error: `This credential lacks the "${scope}" scope` });
+    }
+
+    req.admin = principal;
+    next();
+  };
+}
+
+/**
+ * Stable pseudonym for a room code, for listings seen without the rooms scope
+ */
+export function hashRoomCode(roomId) {
+  return crypto.createHmac('sha256', getSecret()).update(`room:${roomId}`).digest('hex').slice(0, 12);
+}
+
+/**
+ * A room code as the credential may see it: raw with the rooms scope,
+ * hashed otherwise
+ */
+export function roomCodeFor(principal, roomId) {
+  return hasScope(principal, 'rooms') ? roomId : hashRoomCode(roomId);
+}
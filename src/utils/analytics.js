@@ -1,4 +1,7 @@
+import crypto from 'crypto';
 import { RoomEvent, TransferSession, DailyStats, ErrorLog } from '../models/Analytics.js';
+import { allowedSources, OPEN_STATUSES, TRANSFER_STATUSES } from './transferLifecycle.js';
+import { getAnalyticsTimeZone, startOfDay, zonedParts } from './timeZones.js';
 
 /**
  * Analytics utility functions for tracking events
@@ -58,8 +61,7 @@ export async function trackUserLeft(roomId, userId, remainingUsers) {
 export async function trackRoomClosed(roomId) {
   try {
     // Prevent double-counting the same room closure in a single day
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
+    const today = startOfDay(new Date(), getAnalyticsTimeZone());
     const alreadyClosed = await RoomEvent.exists({
       roomId,
       eventType: 'closed',
@@ -82,26 +84,46 @@ export async function trackRoomClosed(roomId) {
   }
 }
 
-// Create transfer session
+// Keep the per-session connection timeline and progress history bounded
+const MAX_CONNECTION_TIMELINE = 100;
+const MAX_PROGRESS_SAMPLES = 500;
+
+/**
+ * True when sessionId is already recorded for a different room. Session IDs
+ * come from clients, so every session write below also filters on roomId;
+ * handlers use this to tell the sender instead of silently writing nothing.
+ */
+export async function isForeignSession(roomId, sessionId) {
+  try {
+    return Boolean(await TransferSession.exists({ sessionId, roomId: { $ne: roomId } }));
+  } catch (error) {
+    console.error('[Analytics Error] isForeignSession:', error.message);
+    return false;
+  }
+}
+
+// Create transfer session (the session may already exist from connection-state reports)
 export async function createTransferSession(roomId, sessionId, initiatorId) {
   try {
-    return await TransferSession.create({
-      roomId,
-      sessionId,
-      initiatorId,
-      status: 'initiated'
-    });
+    return await TransferSession.findOneAndUpdate(
+      { roomId, sessionId },
+      { 
+        $set: { initiatorId },
+        $setOnInsert: { status: 'initiated' }
+      },
+      { upsert: true, new: true }
+    );
   } catch (error) {
     console.error('[Analytics Error] createTransferSession:', error.message);
     return null;
   }
 }
 
-// Update transfer session
-export async function updateTransferSession(sessionId, updates) {
+// Update transfer session fields (status changes go through transitionTransferSession)
+export async function updateTransferSession(roomId, sessionId, updates) {
   try {
     return await TransferSession.findOneAndUpdate(
-      { sessionId },
+      { roomId, sessionId },
       updates,
       { new: true }
     );
@@ -111,48 +133,125 @@ export async function updateTransferSession(sessionId, updates) {
   }
 }
 
+/**
+ * Move a session to a new status if the lifecycle allows it (see transferLifecycle.js).
+ * The check and the write are one atomic update, so racing duplicates apply once.
+ *
+ * Returns { outcome, from, session } where outcome is 'applied' (session is
+ * the document before the update), 'duplicate' (already in that status),
+ * 'invalid' or 'not_found'; null if the database is unavailable.
+ */
+export async function transitionTransferSession(roomId, sessionId, to, updates = {}) {
+  try {
+    const previous = await TransferSession.findOneAndUpdate(
+      { roomId, sessionId, status: { $in: allowedSources(to) } },
+      { $set: { ...updates, status: to } }
+    );
+    if (previous) {
+      return { outcome: 'applied', from: previous.status, session: previous };
+    }
+
+    const current = await TransferSession.findOne({ roomId, sessionId }, { status: 1 });
+    if (!current) return { outcome: 'not_found' };
+    return { outcome: current.status === to ? 'duplicate' : 'invalid', from: current.status };
+  } catch (error) {
+    console.error('[Analytics Error] transitionTransferSession:', error.message);
+    return null;
+  }
+}
+
+// Mark the open sessions of a dismissed room as abandoned
+export async function abandonRoomSessions(roomId) {
+  try {
+    const result = await TransferSession.updateMany(
+      { roomId, status: { $in: OPEN_STATUSES } },
+      { $set: { status: 'abandoned', endTime: new Date() } }
+    );
+    return result.modifiedCount;
+  } catch (error) {
+    console.error('[Analytics Error] abandonRoomSessions:', error.message);
+    return 0;
+  }
+}
+
 /**
  * Record data transferred (simple mode)
  * - Frontend sends total bytes for a transfer
  * - We aggregate into DailyStats and optionally a TransferSession
+ * - relayed: bytes went through the server relay; also counted under relayed* stats
+ * - storeAndForward: a drop was downloaded after the sender left; also counted under async* stats
+ *
+ * Returns { outcome, session }: 'applied' (the session completed now),
+ * 'recorded' (no known session, a minimal one is created), 'duplicate' or
+ * 'invalid' (nothing counted), or 'unavailable' if MongoDB failed; null for
+ * zero bytes. Metrics are left to the caller (see countCompletedTransfer).
  */
-export async function recordDataTransferred(roomId, bytes, sessionId = null) {
+export async function recordDataTransferred(roomId, bytes, sessionId = null, { relayed = false, storeAndForward = false } = {}) {
   try {
     const amount = Math.max(0, Number(bytes) || 0);
     if (amount === 0) return null;
 
+    // A known session must be allowed to complete; repeats are not counted again
+    let completedSession = false;
+    if (sessionId) {
+      const result = await transitionTransferSession(roomId, sessionId, 'completed', { endTime: new Date(), relayed });
+      if (!result) return { outcome: 'unavailable', session: null };
+      if (result.outcome !== 'applied' && result.outcome !== 'not_found') return { outcome: result.outcome, session: null };
+      completedSession = result.outcome === 'applied';
+    }
+
     // Update daily aggregated bytes
     await incrementDailyStat('totalBytesTransferred', amount);
     await incrementDailyStat('transfersCompleted', 1);
     await incrementHourlyStat('transfers', 1);
+    if (relayed) {
+      await incrementDailyStat('relayedBytesTransferred', amount);
+      await incrementDailyStat('relayedTransfers', 1);
+    }
+    if (storeAndForward) {
+      await incrementDailyStat('asyncBytesTransferred', amount);
+      await incrementDailyStat('asyncTransfers', 1);
+    }
 
     // If a sessionId is provided, update that session's totalBytes
-    if (sessionId) {
-      const updated = await TransferSession.findOneAndUpdate(
-        { sessionId },
-        { 
-          $inc: { totalBytes: amount },
-          $set: { status: 'completed', endTime: new Date() }
-        },
+    if (completedSession) {
+      const session = await TransferSession.findOneAndUpdate(
+        { roomId, sessionId },
+        { $inc: { totalBytes: amount } },
         { new: true }
       );
-      if (updated) return updated;
+      return { outcome: 'applied', session };
     }
 
     // Otherwise, create a minimal session record for this transfer
     const minimalSessionId = `${roomId}-${Date.now()}`;
-    return await TransferSession.create({
+    const session = await TransferSession.create({
       roomId,
       sessionId: minimalSessionId,
       totalBytes: amount,
+      relayed,
       status: 'completed',
       startTime: new Date(),
       endTime: new Date(),
       duration: 0
     });
+    return { outcome: 'recorded', session };
   } catch (error) {
     console.error('[Analytics Error] recordDataTransferred:', error.message);
-    return null;
+    return { outcome: 'unavailable', session: null };
+  }
+}
+
+/**
+ * Count a room message. Snippets (text/clipboard sent instead of a file) are
+ * also counted as lightweight transfers under textSnippets/textSnippetBytes.
+ * The text itself is never stored.
+ */
+export async function recordRoomMessage(kind, bytes) {
+  await incrementDailyStat('roomMessages', 1);
+  if (kind === 'snippet') {
+    await incrementDailyStat('textSnippets', 1);
+    await incrementDailyStat('textSnippetBytes', bytes);
   }
 }
 
@@ -162,7 +261,7 @@ export async function trackSignalingEvent(roomId, eventType) {
     // Find active transfer session for this room
     const session = await TransferSession.findOne({
       roomId,
-      status: { $in: ['initiated', 'transferring'] }
+      status: { $in: OPEN_STATUSES }
     }).sort({ startTime: -1 });
     
     if (session) {
@@ -177,6 +276,208 @@ export async function trackSignalingEvent(roomId, eventType) {
   }
 }
 
+/**
+ * Append a client-reported connection state change to a session's timeline.
+ * Without a sessionId the room's most recent active session is used.
+ */
+export async function recordConnectionState(roomId, sessionId, entry) {
+  try {
+    const update = {
+      $push: { connectionTimeline: { $each: [entry], $slice: -MAX_CONNECTION_TIMELINE } },
+      $set: { iceConnectionState: entry.iceConnectionState }
+    };
+    if (entry.candidatePairType) {
+      update.$set.candidatePairType = entry.candidatePairType;
+    }
+
+    if (sessionId) {
+      update.$setOnInsert = { status: 'initiated' };
+      return await TransferSession.findOneAndUpdate({ roomId, sessionId }, update, { upsert: true, new: true });
+    }
+
+    return await TransferSession.findOneAndUpdate(
+      { roomId, status: { $in: OPEN_STATUSES } },
+      update,
+      { sort: { startTime: -1 }, new: true }
+    );
+  } catch (error) {
+    console.error('[Analytics Error] recordConnectionState:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Store the latest progress report, optionally appending it to the sampled history
+ */
+export async function recordTransferProgress(roomId, sessionId, progress, { sample = false } = {}) {
+  try {
+    const update = { $set: { 'metadata.lastProgress': progress } };
+    if (sample) {
+      update.$push = { progressSamples: { $each: [progress], $slice: -MAX_PROGRESS_SAMPLES } };
+    }
+    return await TransferSession.updateOne({ roomId, sessionId }, update);
+  } catch (error) {
+    console.error('[Analytics Error] recordTransferProgress:', error.message);
+    return null;
+  }
+}
+
+// Progress history of one session
+export async function getTransferProgress(sessionId) {
+  try {
+    return await TransferSession.findOne(
+      { sessionId },
+      { roomId: 1, sessionId: 1, status: 1, totalBytes: 1, startTime: 1, endTime: 1, 'metadata.lastProgress': 1, progressSamples: 1 }
+    ).lean();
+  } catch (error) {
+    console.error('[Analytics Error] getTransferProgress:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Record a file offer on its session, creating the session if the offer
+ * comes before transfer-start
+ */
+export async function recordFileOffer(roomId, sessionId, senderId, offer) {
+  try {
+    return await TransferSession.findOneAndUpdate(
+      { roomId, sessionId },
+      {
+        $set: { offer: { ...offer, outcome: 'pending' } },
+        $setOnInsert: { initiatorId: senderId, status: 'initiated' }
+      },
+      { upsert: true, new: true }
+    );
+  } catch (error) {
+    console.error('[Analytics Error] recordFileOffer:', error.message);
+    return null;
+  }
+}
+
+// Store how the receiver answered (or didn't) a file offer
+export async function recordFileOfferOutcome(roomId, sessionId, { outcome, filesAccepted = 0, bytesAccepted = 0 }) {
+  try {
+    return await TransferSession.updateOne(
+      { roomId, sessionId, 'offer.outcome': 'pending' },
+      {
+        $set: {
+          'offer.outcome': outcome,
+          'offer.respondedAt': new Date(),
+          'offer.filesAccepted': filesAccepted,
+          'offer.bytesAccepted': bytesAccepted
+        }
+      }
+    );
+  } catch (error) {
+    console.error('[Analytics Error] recordFileOfferOutcome:', error.message);
+    return null;
+  }
+}
+
+// application/* subtypes grouped into broader categories
+const APPLICATION_CATEGORIES = [
+  [/pdf|msword|officedocument|opendocument|rtf|epub/, 'document'],
+  [/zip|x-7z|x-rar|x-tar|gzip|x-bzip|x-xz|compressed/, 'archive'],
+  [/x-msdownload|x-apple-diskimage|vnd\.android\.package-archive|x-executable|x-msi/, 'executable']
+];
+
+// Upper bound (exclusive) and label of each file size bucket
+const SIZE_BUCKETS = [
+  [1024 * 1024, '<1MB'],
+  [10 * 1024 * 1024, '1-10MB'],
+  [100 * 1024 * 1024, '10-100MB'],
+  [1024 * 1024 * 1024, '100MB-1GB'],
+  [Infinity, '>1GB']
+];
+
+function getMimeCategory(mimeType) {
+  const [type, subtype = ''] = (mimeType || '').toLowerCase().split('/');
+  if (!type) return 'unknown';
+  if (['image', 'video', 'audio', 'text', 'font'].includes(type)) return type;
+  if (type === 'application') {
+    const match = APPLICATION_CATEGORIES.find(([pattern]) => pattern.test(subtype));
+    return match ? match[1] : 'application';
+  }
+  return 'other';
+}
+
+function getSizeBucket(size) {
+  return SIZE_BUCKETS.find(([limit]) => size < limit)[1];
+}
+
+/**
+ * Anonymised file name: HMAC-SHA256 of the name keyed by the session ID, so
+ * the same file can be recognised within a session but names are never stored
+ */
+export function hashFileName(sessionId, name) {
+  return name ? crypto.createHmac('sha256', sessionId).update(name).digest('hex') : undefined;
+}
+
+/**
+ * Register a file of a session (file-start). Starting a file again after it
+ * failed, or while it is still marked transferring, counts as a retry.
+ * Completed files are left alone.
+ */
+export async function recordFileStarted(roomId, sessionId, { fileId, name, mimeType, size }) {
+  try {
+    const now = new Date();
+
+    const retried = await TransferSession.updateOne(
+      { roomId, sessionId, files: { $elemMatch: { fileId, status: { $ne: 'completed' } } } },
+      {
+        $set: { 'files.$.status': 'transferring', 'files.$.startTime': now },
+        $inc: { 'files.$.retryCount': 1 },
+        $unset: { 'files.$.endTime': '', 'files.$.failureReason': '' }
+      }
+    );
+    if (retried.modifiedCount > 0) return 'retried';
+
+    const added = await TransferSession.updateOne(
+      { roomId, sessionId, 'files.fileId': { $ne: fileId } },
+      {
+        $push: {
+          files: {
+            fileId,
+            nameHash: hashFileName(sessionId, name),
+            mimeType,
+            mimeCategory: getMimeCategory(mimeType),
+            size,
+            sizeBucket: getSizeBucket(size),
+            status: 'transferring',
+            startTime: now,
+            retryCount: 0
+          }
+        }
+      }
+    );
+    return added.modifiedCount > 0 ? 'started' : null;
+  } catch (error) {
+    console.error('[Analytics Error] recordFileStarted:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Close a transferring file as 'completed' or 'failed'. Returns false when
+ * there was no such file in flight (unknown, or already finished).
+ */
+export async function recordFileFinished(roomId, sessionId, fileId, status, failureReason) {
+  try {
+    const update = { 'files.$.status': status, 'files.$.endTime': new Date() };
+    if (failureReason) update['files.$.failureReason'] = failureReason;
+
+    const result = await TransferSession.updateOne(
+      { roomId, sessionId, files: { $elemMatch: { fileId, status: 'transferring' } } },
+      { $set: update }
+    );
+    return result.modifiedCount > 0;
+  } catch (error) {
+    console.error('[Analytics Error] recordFileFinished:', error.message);
+    return false;
+  }
+}
+
 // Log errors
 export async function logError(errorType, errorMessage, metadata = {}) {
   try {
@@ -192,11 +493,10 @@ export async function logError(errorType, errorMessage, metadata = {}) {
   }
 }
 
-// Increment daily stats
+// Increment daily stats (days start at midnight in ANALYTICS_TIMEZONE)
 export async function incrementDailyStat(field, amount = 1) {
   try {
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
+    const today = startOfDay(new Date(), getAnalyticsTimeZone());
     
     await DailyStats.updateOne(
       { date: today },
@@ -215,9 +515,10 @@ export async function incrementDailyStat(field, amount = 1) {
 async function incrementHourlyStat(field, amount = 1) {
   try {
     const now = new Date();
-    const today = new Date(now);
-    today.setHours(0, 0, 0, 0);
-    const currentHour = now.getHours();
+    const timeZone = getAnalyticsTimeZone();
+    const today = startOfDay(now, timeZone);
+    // Wall-clock hour in ANALYTICS_TIMEZONE (on DST days one hour is skipped or repeated)
+    const currentHour = zonedParts(now, timeZone).hour;
     
     // Find or create today's stats
     let stats = await DailyStats.findOne({ date: today });
@@ -250,27 +551,181 @@ async function incrementHourlyStat(field, amount = 1) {
   }
 }
 
-// Get analytics summary
-export async function getAnalyticsSummary(days = 7) {
+// Counters summed into summary buckets (peakConcurrentRooms takes the max)
+const ROLLUP_FIELDS = [
+  'roomsCreated', 'roomsCompleted', 'totalConnections',
+  'transfersInitiated', 'transfersCompleted', 'totalBytesTransferred',
+  'relayedTransfers', 'relayedBytesTransferred', 'asyncTransfers', 'asyncBytesTransferred',
+  'roomMessages', 'textSnippets', 'textSnippetBytes'
+];
+
+// hourlyBreakdown field -> DailyStats field it is an hourly slice of
+const HOURLY_FIELDS = { connections: 'totalConnections', roomsCreated: 'roomsCreated', transfers: 'transfersCompleted' };
+
+const ENDED_STATUSES = ['completed', 'failed', 'cancelled', 'abandoned'];
+
+/**
+ * Share of ended sessions that completed, and mean size of a completed
+ * transfer; null where there is nothing to divide by
+ */
+function withComputedFields(bucket) {
+  const ended = ENDED_STATUSES.reduce((sum, status) => sum + bucket.sessions[status], 0);
+  return {
+    ...bucket,
+    successRate: ended > 0 ? bucket.sessions.completed / ended : null,
+    averageBytesPerTransfer: bucket.sessions.completed > 0 ? bucket.sessions.completedBytes / bucket.sessions.completed : null
+  };
+}
+
+/**
+ * Analytics summary for [from, to), rolled up per hour, day, week or month
+ * in timeZone. Hour buckets come from hourlyBreakdown, so they only carry
+ * totalConnections, roomsCreated and transfersCompleted. Daily counters are
+ * recorded per ANALYTICS_TIMEZONE day; with another timeZone each day is
+ * counted in the bucket where it starts. Session-based fields (successRate,
+ * averageBytesPerTransfer) are exact for any zone.
+ *
+ * The raw DailyStats documents (dailyStats) and the period label of the
+ * older days-only summary are still included for existing dashboards.
+ */
+export async function getAnalyticsSummary({
+  from,
+  to,
+  granularity = 'day',
+  timeZone = getAnalyticsTimeZone(),
+  period = `${from.toISOString()} - ${to.toISOString()}`
+}) {
   try {
-    const startDate = new Date();
-    startDate.setDate(startDate.getDate() - days);
-    startDate.setHours(0, 0, 0, 0);
-    
-    const [dailyStats, recentEvents, errorStats] = await Promise.all([
-      DailyStats.find({ date: { $gte: startDate } }).sort({ date: -1 }),
-      RoomEvent.countDocuments({ timestamp: { $gte: startDate } }),
+    const range = { $gte: from, $lt: to };
+    // hourlyBreakdown hours are wall-clock hours of the day in the recording zone
+    const recordingZone = getAnalyticsTimeZone();
+    const datePart = (unit) => ({ [unit]: { date: '$date', timezone: recordingZone } });
+    const bucketOf = (date) => ({
+      $dateTrunc: { date, unit: granularity, timezone: timeZone, ...(granularity === 'week' && { startOfWeek: 'monday' }) }
+    });
+
+    const statsRollup = granularity === 'hour'
+      ? DailyStats.aggregate([
+        { $match: { date: { $gte: new Date(from.getTime() - 24 * 60 * 60 * 1000), $lt: to } } },
+        { $unwind: '$hourlyBreakdown' },
+        { $addFields: { hourStart: { $dateFromParts: {
+          year: datePart('$year'),
+          month: datePart('$month'),
+          day: datePart('$dayOfMonth'),
+          hour: '$hourlyBreakdown.hour',
+          timezone: recordingZone
+        } } } },
+        { $match: { hourStart: range } },
+        { $group: {
+          _id: bucketOf('$hourStart'),
+          ...Object.fromEntries(Object.entries(HOURLY_FIELDS).map(([hourly, daily]) => (
+            [daily, { $sum: { $ifNull: [`$hourlyBreakdown.${hourly}`, 0] } }]
+          )))
+        } }
+      ])
+      : DailyStats.aggregate([
+        { $match: { date: range } },
+        { $group: {
+          _id: bucketOf('$date'),
+          ...Object.fromEntries(ROLLUP_FIELDS.map((field) => [field, { $sum: { $ifNull: [`$${field}`, 0] } }])),
+          peakConcurrentRooms: { $max: '$peakConcurrentRooms' }
+        } }
+      ]);
+
+    // Sessions by the bucket they started in
+    const sessionRollup = TransferSession.aggregate([
+      { $match: { startTime: range } },
+      { $group: {
+        _id: bucketOf('$startTime'),
+        ...Object.fromEntries(TRANSFER_STATUSES.map((status) => (
+          [status, { $sum: { $cond: [{ $eq: ['$status', status] }, 1, 0] } }]
+        ))),
+        completedBytes: { $sum: { $cond: [{ $eq: ['$status', 'completed'] }, '$totalBytes', 0] } }
+      } }
+    ]);
+
+    // Per-file breakdown by one of the precomputed file fields
+    const fileBreakdown = (field) => TransferSession.aggregate([
+      { $match: { startTime: range, 'files.0': { $exists: true } } },
+      { $unwind: '$files' },
+      { $group: {
+        _id: `$files.${field}`,
+        files: { $sum: 1 },
+        bytes: { $sum: '$files.size' },
+        completed: { $sum: { $cond: [{ $eq: ['$files.status', 'completed'] }, 1, 0] } },
+        failed: { $sum: { $cond: [{ $eq: ['$files.status', 'failed'] }, 1, 0] } },
+        retries: { $sum: '$files.retryCount' }
+      } },
+      { $sort: { files: -1 } }
+    ]);
+
+    const [dailyStats, statBuckets, sessionBuckets, recentEvents, errorStats, connectionTypes, fileTypes, fileSizes, fileOffers] = await Promise.all([
+      DailyStats.find({ date: range }).sort({ date: -1 }),
+      statsRollup,
+      sessionRollup,
+      RoomEvent.countDocuments({ timestamp: range }),
       ErrorLog.aggregate([
-        { $match: { timestamp: { $gte: startDate } } },
+        { $match: { timestamp: range } },
         { $group: { _id: '$errorType', count: { $sum: 1 } } }
+      ]),
+      // Sessions per selected candidate pair type (relay = needed TURN)
+      TransferSession.aggregate([
+        { $match: { startTime: range, candidatePairType: { $exists: true } } },
+        { $group: { _id: '$candidatePairType', count: { $sum: 1 } } }
+      ]),
+      fileBreakdown('mimeCategory'),
+      fileBreakdown('sizeBucket'),
+      // Offers per outcome (declined = receiver said no to every file)
+      TransferSession.aggregate([
+        { $match: { 'offer.offeredAt': range } },
+        { $group: {
+          _id: '$offer.outcome',
+          count: { $sum: 1 },
+          filesOffered: { $sum: '$offer.filesOffered' },
+          filesAccepted: { $sum: '$offer.filesAccepted' }
+        } }
       ])
     ]);
-    
+
+    // Merge both rollups by bucket start
+    const statFields = granularity === 'hour' ? Object.values(HOURLY_FIELDS) : ROLLUP_FIELDS;
+    const emptySessions = () => ({ ...Object.fromEntries(TRANSFER_STATUSES.map((status) => [status, 0])), completedBytes: 0 });
+    const buckets = new Map();
+    const bucketAt = (start) => {
+      const key = start.toISOString();
+      if (!buckets.has(key)) {
+        buckets.set(key, { start: key, ...Object.fromEntries(statFields.map((field) => [field, 0])), sessions: emptySessions() });
+      }
+      return buckets.get(key);
+    };
+    for (const { _id, ...stats } of statBuckets) Object.assign(bucketAt(_id), stats);
+    for (const { _id, ...sessions } of sessionBuckets) bucketAt(_id).sessions = sessions;
+
+    const sorted = [...buckets.values()].sort((a, b) => a.start.localeCompare(b.start));
+    const totals = { sessions: emptySessions() };
+    for (const bucket of sorted) {
+      for (const field of statFields) totals[field] = (totals[field] || 0) + bucket[field];
+      for (const key of Object.keys(totals.sessions)) totals.sessions[key] += bucket.sessions[key];
+      if (bucket.peakConcurrentRooms !== undefined) {
+        totals.peakConcurrentRooms = Math.max(totals.peakConcurrentRooms || 0, bucket.peakConcurrentRooms || 0);
+      }
+    }
+
     return {
-      dailyStats,
+      from: from.toISOString(),
+      to: to.toISOString(),
+      granularity,
+      timeZone,
+      buckets: sorted.map(withComputedFields),
+      totals: withComputedFields(totals),
       totalEvents: recentEvents,
       errors: errorStats,
-      period: `Last ${days} days`
+      connectionTypes,
+      fileTypes,
+      fileSizes,
+      fileOffers,
+      dailyStats,
+      period
     };
   } catch (error) {
     console.error('[Analytics Error] getAnalyticsSummary:', error.message);
@@ -0,0 +1,174 @@
+import { Readable } from 'stream';
+import { RoomEvent, TransferSession, ErrorLog } from '../models/Analytics.js';
+
+/**
+ * Streaming CSV / NDJSON export of the raw analytics collections
+ *
+ * Rows are read through a Mongo cursor in (time, _id) order and written as
+ * they arrive, so an export never holds a collection in memory. Each request
+ * returns one page of at most `limit` rows; when more remain, the page token
+ * for the next request is known before streaming starts and is sent in the
+ * X-Next-Token header. Retrying a failed page with the same token resumes
+ * the export without gaps or duplicates.
+ */
+
+export const DEFAULT_EXPORT_LIMIT = 10000;
+export const MAX_EXPORT_LIMIT = 100000;
+
+// Exportable fields per collection; manifests are resume state, not
+// analytics, and are left out
+export const EXPORT_COLLECTIONS = {
+  roomevents: {
+    model: RoomEvent,
+    timeField: 'timestamp',
+    filterField: 'eventType',
+    fields: ['timestamp', 'roomId', 'eventType', 'userId', 'userCount'],
+    defaultFields: ['timestamp', 'roomId', 'eventType', 'userId', 'userCount']
+  },
+  transfersessions: {
+    model: TransferSession,
+    timeField: 'startTime',
+    filterField: 'status',
+    fields: [
+      'startTime', 'endTime', 'sessionId', 'roomId', 'initiatorId', 'receiverId', 'status', 'fileCount',
+      'totalBytes', 'duration', 'relayed', 'iceConnectionState', 'candidatePairType', 'offer', 'files',
+      'signalingEventsCount', 'connectionTimeline', 'progressSamples'
+    ],
+    defaultFields: [
+      'startTime', 'endTime', 'sessionId', 'roomId', 'status', 'fileCount', 'totalBytes', 'duration',
+      'relayed', 'candidatePairType'
+    ]
+  },
+  errorlogs: {
+    model: ErrorLog,
+    timeField: 'timestamp',
+    filterField: 'errorType',
+    fields: ['timestamp', 'errorType', 'roomId', 'userId', 'errorMessage', 'metadata'],
+    defaultFields: ['timestamp', 'errorType', 'roomId', 'userId', 'errorMessage']
+  }
+};
+
+// Allowed values of a collection's filter field, from the schema enum
+export function getFilterValues(collection) {
+  const { model, filterField } = EXPORT_COLLECTIONS[collection];
+  return model.schema.path(filterField).enumValues;
+}
+
+export function encodePageToken(doc, timeField) {
+  return Buffer.from(JSON.stringify({ t: doc[timeField].getTime(), id: String(doc._id) })).toString('base64url');
+}
+
+// Returns { t, id } or null
+export function decodePageToken(token) {
+  try {
+    const { t, id } = JSON.parse(Buffer.from(token, 'base64url').toString());
+    return Number.isFinite(t) && /^[a-f0-9]{24}$/.test(id) ? { t, id } : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Mongo filter for a page: time range, optional enum filter, and "after
+ * the token" on the (time, _id) sort key
+ */
+export function buildExportQuery(collection, { from, to, values, after }) {
+  const { timeField, filterField } = EXPORT_COLLECTIONS[collection];
+  const query = { [timeField]: { $gte: from, $lt: to } };
+  if (values?.length) query[filterField] = { $in: values };
+  if (after) {
+    const afterTime = new Date(after.t);
+    query.$or = [
+      { [timeField]: { $gt: afterTime } },
+      { [timeField]: afterTime, _id: { $gt: after.id } }
+    ];
+  }
+  return query;
+}
+
+/**
+ * Sort key of the last row of this page, if another page follows
+ */
+export async function findNextPageToken(collection, query, limit) {
+  const { model, timeField } = EXPORT_COLLECTIONS[collection];
+  const boundary = await model.find(query)
+    .sort({ [timeField]: 1, _id: 1 })
+    .skip(limit - 1)
+    .limit(2)
+    .select({ [timeField]: 1 })
+    .lean();
+
+  return boundary.length === 2 ? encodePageToken(boundary[0], timeField) : null;
+}
+
+function readPath(doc, field) {
+  return field.split('.').reduce((value, key) => value?.[key], doc);
+}
+
+// Quote for CSV; leading =, +, - or @ is neutralised so spreadsheet apps
+// don't evaluate client-supplied text (error messages) as a formula
+function csvCell(value) {
+  if (value === undefined || value === null) return '';
+  let text = value instanceof Date ? value.toISOString() : typeof value === 'object' ? JSON.stringify(value) : String(value);
+  if (/^[=+\-@]/.test(text) && typeof value === 'string') text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Sessions recorded without a client session ID are named `${roomId}-${ms}`
+const DERIVED_SESSION_ID = /^(.+)-(\d+)$/;
+
+function hashSessionId(sessionId, hashRoomCode) {
+  const match = typeof sessionId === 'string' && DERIVED_SESSION_ID.exec(sessionId);
+  return match ? `${hashRoomCode(match[1])}-${match[2]}` : sessionId;
+}
+
+/**
+ * Replace every room code in an export row with hashRoomCode(code): the
+ * roomId column, the room prefix of derived session IDs, and the room
+ * fields error logs keep in metadata (roomId, sessionId, memberOf)
+ */
+export function hashRoomCodes(row, hashRoomCode) {
+  const hashed = { ...row };
+  if (hashed.roomId) hashed.roomId = hashRoomCode(hashed.roomId);
+  if (hashed.sessionId) hashed.sessionId = hashSessionId(hashed.sessionId, hashRoomCode);
+
+  const metadata = hashed.metadata;
+  if (metadata && typeof metadata === 'object') {
+    hashed.metadata = { ...metadata };
+    if (typeof metadata.roomId === 'string') hashed.metadata.roomId = hashRoomCode(metadata.roomId);
+    if (metadata.sessionId) hashed.metadata.sessionId = hashSessionId(metadata.sessionId, hashRoomCode);
+    if (typeof metadata.memberOf === 'string') hashed.metadata.memberOf = hashRoomCode(metadata.memberOf);
+  }
+  return hashed;
+}
+
+/**
+ * Readable stream of one export page.
+ * mapRow(row) may rewrite a row before it is serialised (e.g. hashRoomCodes).
+ */
+export function createExportStream(collection, query, { fields, format, limit, mapRow = (row) => row }) {
+  const { model, timeField } = EXPORT_COLLECTIONS[collection];
+
+  async function* rows() {
+    const cursor = model.find(query)
+      .sort({ [timeField]: 1, _id: 1 })
+      .limit(limit)
+      .select(Object.fromEntries(fields.map((field) => [field, 1])))
+      .lean()
+      .cursor();
+
+    try {
+      if (format === 'csv') yield `${fields.join(',')}\n`;
+      for await (const doc of cursor) {
+        const row = mapRow(Object.fromEntries(fields.map((field) => [field, readPath(doc, field)])));
+        yield format === 'csv'
+          ? `${fields.map((field) => csvCell(row[field])).join(',')}\n`
+          : `${JSON.stringify(row)}\n`;
+      }
+    } finally {
+      await cursor.close();
+    }
+  }
+
+  return Readable.from(rows());
+}
@@ -0,0 +1,42 @@
+import crypto from 'crypto';
+
+/**
+ * ICE server list with time-limited TURN credentials
+ *
+ * Uses the TURN REST API scheme (supported by coturn's `use-auth-secret`):
+ *   username   = "<expiry unix seconds>:<user id>"
+ *   credential = base64(HMAC-SHA1(TURN_SECRET, username))
+ *
+ * Env:
+ *   STUN_URLS                    Comma-separated stun: URLs
+ *   TURN_URLS                    Comma-separated turn:/turns: URLs
+ *   TURN_SECRET                  Shared secret configured on the TURN server
+ *   TURN_CREDENTIAL_TTL_SECONDS  Credential lifetime (default 3600)
+ */
+
+const DEFAULT_STUN_URLS = 'stun:stun.l.google.com:19302';
+
+function splitUrls(raw) {
+  return (raw || '').split(',').map(url => url.trim()).filter(Boolean);
+}
+
+// Build the RTCIceServer list for one user
+export function getIceServers(userId) {
+  const stunUrls = splitUrls(process.env.STUN_URLS ?? DEFAULT_STUN_URLS);
+  const turnUrls = splitUrls(process.env.TURN_URLS);
+  const secret = process.env.TURN_SECRET;
+  const ttl = parseInt(process.env.TURN_CREDENTIAL_TTL_SECONDS, 10) || 3600;
+
+  const iceServers = [];
+  if (stunUrls.length) {
+    iceServers.push({ urls: stunUrls });
+  }
+
+  if (turnUrls.length && secret) {
+    const username = `${Math.floor(Date.now() / 1000) + ttl}:${userId}`;
+    const credential = crypto.createHmac('sha1', secret).update(username).digest('base64');
+    iceServers.push({ urls: turnUrls, username, credential });
+  }
+
+  return { iceServers, ttl };
+}
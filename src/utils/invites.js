@@ -0,0 +1,83 @@
+import crypto from 'crypto';
+
+/**
+ * Signed invite tokens for link / QR-code joining
+ *
+ * Token format: base64url(JSON payload) + '.' + base64url(HMAC-SHA256 signature)
+ * Payload: { rid: roomId, rc: room createdAt, iid: inviteId, exp: unix seconds, max: maxUses }
+ *
+ * rc ties the invite to one room instance, so it cannot be replayed against a
+ * later room that happens to reuse the same code.
+ *
+ * Use counts are not part of the token; callers track them per inviteId.
+ */
+
+// Resolved on first use so values from .env (loaded after imports) are picked up
+let inviteSecret = null;
+
+function getSecret() {
+  if (!inviteSecret) {
+    inviteSecret = process.env.INVITE_SECRET;
+    if (!inviteSecret) {
+      inviteSecret = crypto.randomBytes(32).toString('hex');
+      console.warn('[Invites] INVITE_SECRET not set - using a random per-process secret (invites will not survive restarts or work across instances)');
+    }
+  }
+  return inviteSecret;
+}
+
+function sign(encodedPayload) {
+  return crypto.createHmac('sha256', getSecret()).update(encodedPayload).digest('base64url');
+}
+
+// Mint a token for a room
+export function createInviteToken(roomId, roomCreatedAt, { expiresInSeconds, maxUses }) {
+  const payload = {
+    rid: roomId,
+    rc: roomCreatedAt,
+    iid: crypto.randomBytes(9).toString('base64url'),
+    exp: Math.floor(Date.now() / 1000) + expiresInSeconds,
+    max: maxUses
+  };
+  const encodedPayload = Buffer.from(JSON.stringify(payload)).toString('base64url');
+
+  return {
+    token: `${encodedPayload}.${sign(encodedPayload)}`,
+    inviteId: payload.iid,
+    expiresAt: new Date(payload.exp * 1000)
+  };
+}
+
+/**
+ * Check signature and expiry.
+ * Returns { roomId, roomCreatedAt, inviteId, expiresAt, maxUses } or { error: 'INVITE_INVALID' | 'INVITE_EXPIRED' }
+ */
+export function verifyInviteToken(token) {
+  if (typeof token !== 'string' || token.length > 512) return { error: 'INVITE_INVALID' };
+
+  const [encodedPayload, signature, ...rest] = token.split('.');
+  if (!encodedPayload || !signature || rest.length) return { error: 'INVITE_INVALID' };
+
+  const expected = Buffer.from(sign(encodedPayload));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return { error: 'INVITE_INVALID' };
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString());
+  } catch {
+    return { error: 'INVITE_INVALID' };
+  }
+
+  if (payload.exp * 1000 <= Date.now()) return { error: 'INVITE_EXPIRED' };
+
+  return {
+    roomId: payload.rid,
+    roomCreatedAt: payload.rc,
+    inviteId: payload.iid,
+    expiresAt: new Date(payload.exp * 1000),
+    maxUses: payload.max
+  };
+}
@@ -0,0 +1,66 @@
+import { logError } from './analytics.js';
+import { rejectEvent } from './socketErrors.js';
+
+/**
+ * Room Membership Enforcement
+ *
+ * Events that act on a room (signaling relay and transfer tracking) are only
+ * accepted from sockets that are seated in that room according to the room
+ * store. Anything else is dropped, the sender gets a NOT_IN_ROOM error (through
+ * the ack when one was passed) and the attempt is logged as `unauthorized_signal`.
+ */
+
+export const ROOM_SCOPED_EVENTS = new Set([
+  'offer',
+  'answer',
+  'ice-candidate',
+  'key-exchange',
+  'room-message',
+  'connection-state',
+  'relay-chunk',
+  'data-transfer',
+  'transfer-start',
+  'transfer-complete',
+  'transfer-paused',
+  'transfer-resumed',
+  'transfer-failed',
+  'transfer-progress',
+  'transfer-checkpoint',
+  'transfer-resume-info',
+  'file-offer',
+  'file-offer-response',
+  'file-start',
+  'file-complete',
+  'file-failed'
+]);
+
+/**
+ * Socket.IO per-socket middleware: socket.use(enforceRoomMembership(socket, roomStore))
+ * Must run after payload validation, which guarantees roomId is a well-formed string.
+ */
+export function enforceRoomMembership(socket, roomStore) {
+  return async (packet, next) => {
+    const [event, payload] = packet;
+    if (!ROOM_SCOPED_EVENTS.has(event)) return next();
+
+    try {
+      const memberOf = await roomStore.getUserRoom(socket.id);
+      if (memberOf && memberOf === payload?.roomId) return next();
+
+      rejectEvent(socket, packet, {
+        code: 'NOT_IN_ROOM',
+        event,
+        message: "You are not a member of this room."
+      });
+
+      await logError('unauthorized_signal', `${event} for a room the sender is not in`, {
+        event,
+        roomId: payload?.roomId,
+        userId: socket.id,
+        memberOf
+      });
+    } catch (error) {
+      console.error('[Membership Check Error]:', error.message);
+    }
+  };
+}
@@ -0,0 +1,245 @@
+/**
+ * Prometheus metrics, served by GET /metrics in the text exposition format
+ *
+ * Counters and histograms live in process memory and gauges are read at
+ * scrape time, so the endpoint keeps working while MongoDB is down. With
+ * several instances every instance reports its own counters; sum them in
+ * PromQL. Room gauges come from the room store and are the same on every
+ * instance when it is Redis.
+ */
+
+export const METRICS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+const registry = [];
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (!entries.length) return '';
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+// Series key: label values in labelNames order
+function seriesKey(labelNames, labels) {
+  return JSON.stringify(labelNames.map(name => String(labels[name] ?? '')));
+}
+
+function seriesLabels(labelNames, key) {
+  const values = JSON.parse(key);
+  return Object.fromEntries(labelNames.map((name, i) => [name, values[i]]));
+}
+
+function register(metric) {
+  if (registry.some(existing => existing.name === metric.name)) {
+    throw new Error(`Metric ${metric.name} is already registered`);
+  }
+  registry.push(metric);
+  return metric;
+}
+
+/**
+ * Monotonic counter: inc(labels?, amount = 1)
+ */
+export function createCounter({ name, help, labelNames = [] }) {
+  const values = new Map();
+
+  return register({
+    name,
+    help,
+    type: 'counter',
+    inc(labels = {}, amount = 1) {
+      const key = seriesKey(labelNames, labels);
+      values.set(key, (values.get(key) || 0) + amount);
+    },
+    collect() {
+      // An unlabelled counter is reported as 0 before its first increment
+      if (!labelNames.length && !values.size) return [`${name} 0`];
+      return [...values].map(([key, value]) => `${name}${formatLabels(seriesLabels(labelNames, key))} ${formatValue(value)}`);
+    }
+  });
+}
+
+/**
+ * Gauge read at scrape time. collect() returns a number, or
+ * [{ labels, value }] for a labelled gauge; it may be async.
+ */
+export function createGauge({ name, help, collect }) {
+  return register({
+    name,
+    help,
+    type: 'gauge',
+    async collect() {
+      const result = await collect();
+      const series = Array.isArray(result) ? result : [{ labels: {}, value: result }];
+      return series.map(({ labels, value }) => `${name}${formatLabels(labels)} ${formatValue(value)}`);
+    }
+  });
+}
+
+/**
+ * Histogram with fixed upper bounds: observe(labels, value), or
+ * startTimer(labels) which returns a function that observes the elapsed seconds
+ */
+export function createHistogram({ name, help, labelNames = [], buckets }) {
+  const bounds = [...buckets].sort((a, b) => a - b);
+  // Map<seriesKey, { counts: number[], sum, count }>
+  const series = new Map();
+
+  function observe(labels, value) {
+    const key = seriesKey(labelNames, labels);
+    let entry = series.get(key);
+    if (!entry) {
+      entry = { counts: bounds.map(() => 0), sum: 0, count: 0 };
+      series.set(key, entry);
+    }
+    for (let i = 0; i < bounds.length; i++) {
+      if (value <= bounds[i]) entry.counts[i]++;
+    }
+    entry.sum += value;
+    entry.count++;
+  }
+
+  return register({
+    name,
+    help,
+    type: 'histogram',
+    observe,
+    startTimer(labels = {}) {
+      const start = process.hrtime.bigint();
+      return (extraLabels = {}) => observe({ ...labels, ...extraLabels }, Number(process.hrtime.bigint() - start) / 1e9);
+    },
+    collect() {
+      const lines = [];
+      for (const [key, { counts, sum, count }] of series) {
+        const labels = seriesLabels(labelNames, key);
+        bounds.forEach((bound, i) => {
+          lines.push(`${name}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${counts[i]}`);
+        });
+        lines.push(`${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+        lines.push(`${name}_sum${formatLabels(labels)} ${formatValue(sum)}`);
+        lines.push(`${name}_count${formatLabels(labels)} ${count}`);
+      }
+      return lines;
+    }
+  });
+}
+
+/**
+ * Render every registered metric. A gauge whose source fails (e.g. Redis
+ * unreachable) is left out rather than failing the whole scrape.
+ */
+export async function renderMetrics() {
+  const sections = [];
+  for (const metric of registry) {
+    let lines;
+    try {
+      lines = await metric.collect();
+    } catch (error) {
+      console.error(`[Metrics] Failed to collect ${metric.name}:`, error.message);
+      continue;
+    }
+    sections.push(
+      `# HELP ${metric.name} ${metric.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`,
+      `# TYPE ${metric.name} ${metric.type}`,
+      ...lines
+    );
+  }
+  return `${sections.join('\n')}\n`;
+}
+
+// --- Application metrics ---
+
+export const roomsCreated = createCounter({
+  name: 'swoosh_rooms_created_total',
+  help: 'Rooms created'
+});
+
+export const roomJoins = createCounter({
+  name: 'swoosh_room_joins_total',
+  help: 'Sockets admitted to a room (rejoins after a dropped connection are not counted)'
+});
+
+export const roomsDismissed = createCounter({
+  name: 'swoosh_rooms_dismissed_total',
+  help: 'Rooms dismissed, by reason',
+  labelNames: ['reason']
+});
+
+export const joinsRejected = createCounter({
+  name: 'swoosh_joins_rejected_total',
+  help: 'Join attempts rejected, by error code',
+  labelNames: ['reason']
+});
+
+export const signalsRelayed = createCounter({
+  name: 'swoosh_signaling_messages_relayed_total',
+  help: 'Signaling messages forwarded to peers, by event',
+  labelNames: ['type']
+});
+
+export const transferOutcomes = createCounter({
+  name: 'swoosh_transfers_total',
+  help: 'Transfers that reached a final status, by status',
+  labelNames: ['outcome']
+});
+
+export const transferDuration = createHistogram({
+  name: 'swoosh_transfer_duration_seconds',
+  help: 'Duration of completed transfers',
+  buckets: [1, 5, 15, 30, 60, 120, 300, 600, 1800, 3600]
+});
+
+export const transferSize = createHistogram({
+  name: 'swoosh_transfer_size_bytes',
+  help: 'Size of completed transfers',
+  buckets: [64 * 1024, 1024 ** 2, 10 * 1024 ** 2, 100 * 1024 ** 2, 1024 ** 3, 10 * 1024 ** 3]
+});
+
+export const mongoWriteDuration = createHistogram({
+  name: 'swoosh_mongo_write_duration_seconds',
+  help: 'Latency of analytics writes to MongoDB, by model, operation and result',
+  labelNames: ['model', 'operation', 'result'],
+  buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]
+});
+
+const WRITE_OPERATIONS = ['save', 'updateOne', 'updateMany', 'findOneAndUpdate'];
+
+/**
+ * Mongoose schema plugin timing every write into mongoWriteDuration.
+ * Failed writes (including ones that time out while disconnected) are
+ * observed with result="error".
+ */
+export function timeMongoWrites(schema) {
+  const timers = new WeakMap();
+
+  // `this` is the document for save and the query otherwise
+  const labelsOf = (target, operation) => ({
+    model: target.model?.modelName || target.constructor.modelName,
+    operation
+  });
+
+  for (const operation of WRITE_OPERATIONS) {
+    schema.pre(operation, function () {
+      timers.set(this, mongoWriteDuration.startTimer(labelsOf(this, operation)));
+    });
+    schema.post(operation, function () {
+      timers.get(this)?.({ result: 'ok' });
+      timers.delete(this);
+    });
+    // Three parameters make this an error handler; it must pass the error on
+    schema.post(operation, function (error, res, next) {
+      timers.get(this)?.({ result: 'error' });
+      timers.delete(this);
+      next(error);
+    });
+  }
+}
@@ -0,0 +1,170 @@
+import { rejectEvent } from './socketErrors.js';
+
+/**
+ * Token-bucket rate limiting for socket events and HTTP routes
+ *
+ * Limits are configured per event class as `class=tokens/seconds`, comma
+ * separated (same style as ALLOWED_ORIGINS), e.g.
+ *
+ *   RATE_LIMITS=create=5/60,join=20/60,signal=500/10,relay=1000/10,message=30/10,other=200/10
+ *   RATE_LIMITS_PER_IP=create=20/60,join=60/60,signal=2000/10,relay=2000/10,message=120/10,other=800/10,http=60/60,drop=300/60
+ *
+ * RATE_LIMITS applies per socket, RATE_LIMITS_PER_IP per client IP. Buckets
+ * live in process memory, so each instance enforces its own budget.
+ */
+
+export const DEFAULT_SOCKET_LIMITS = 'create=5/60,join=20/60,signal=500/10,relay=1000/10,message=30/10,other=200/10';
+export const DEFAULT_IP_LIMITS = 'create=20/60,join=60/60,signal=2000/10,relay=2000/10,message=120/10,other=800/10,http=60/60,drop=300/60';
+
+// Which budget each socket event draws from (unlisted events use "other")
+const EVENT_CLASSES = {
+  'create-room': 'create',
+  'join-room': 'join',
+  'rejoin-room': 'join',
+  'offer': 'signal',
+  'answer': 'signal',
+  'ice-candidate': 'signal',
+  'key-exchange': 'signal',
+  'relay-chunk': 'relay',
+  'room-message': 'message'
+};
+
+export function getEventClass(event) {
+  return EVENT_CLASSES[event] || 'other';
+}
+
+/**
+ * Parse "class=tokens/seconds,..." into { class: { capacity, intervalMs } }
+ */
+export function parseRateLimits(raw) {
+  const limits = {};
+  for (const entry of raw.split(',').map(part => part.trim()).filter(Boolean)) {
+    const match = entry.match(/^([\w-]+)=(\d+)\/(\d+)$/);
+    if (!match) {
+      console.warn(`[Rate Limit] Ignoring malformed limit "${entry}" (expected class=tokens/seconds)`);
+      continue;
+    }
+    const [, eventClass, tokens, seconds] = match;
+    limits[eventClass] = { capacity: Number(tokens), intervalMs: Number(seconds) * 1000 };
+  }
+  return limits;
+}
+
+/**
+ * Create a limiter over a set of class limits.
+ * consume(eventClass, key, cost = 1) -> { allowed, retryAfterMs }
+ * refund(eventClass, key, cost = 1) gives back tokens for work that did not happen
+ *
+ * cost lets a bucket meter something other than event counts (e.g. bytes);
+ * it must not exceed the class capacity or the call can never succeed.
+ */
+export function createRateLimiter(limits) {
+  // Map<"class:key", { tokens, updatedAt }>
+  const buckets = new Map();
+
+  function refill(bucket, limit, now) {
+    const rate = limit.capacity / limit.intervalMs;
+    bucket.tokens = Math.min(limit.capacity, bucket.tokens + (now - bucket.updatedAt) * rate);
+    bucket.updatedAt = now;
+  }
+
+  // Drop buckets that have refilled completely; they carry no state
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [bucketKey, bucket] of buckets) {
+      const limit = limits[bucketKey.slice(0, bucketKey.indexOf(':'))];
+      refill(bucket, limit, now);
+      if (bucket.tokens >= limit.capacity) buckets.delete(bucketKey);
+    }
+  }, 60 * 1000);
+  sweep.unref();
+
+  return {
+    consume(eventClass, key, cost = 1) {
+      const limit = limits[eventClass];
+      if (!limit) return { allowed: true, retryAfterMs: 0 };
+
+      const now = Date.now();
+      const bucketKey = `${eventClass}:${key}`;
+      let bucket = buckets.get(bucketKey);
+      if (!bucket) {
+        bucket = { tokens: limit.capacity, updatedAt: now };
+        buckets.set(bucketKey, bucket);
+      } else {
+        refill(bucket, limit, now);
+      }
+
+      if (bucket.tokens >= cost) {
+        bucket.tokens -= cost;
+        return { allowed: true, retryAfterMs: 0 };
+      }
+
+      const rate = limit.capacity / limit.intervalMs;
+      return { allowed: false, retryAfterMs: Math.ceil((cost - bucket.tokens) / rate) };
+    },
+
+    refund(eventClass, key, cost = 1) {
+      const limit = limits[eventClass];
+      const bucket = buckets.get(`${eventClass}:${key}`);
+      if (!limit || !bucket) return;
+
+      refill(bucket, limit, Date.now());
+      bucket.tokens = Math.min(limit.capacity, bucket.tokens + cost);
+    }
+  };
+}
+
+/**
+ * Resolve the client IP of a socket. With trustedProxyHops > 0, that many
+ * proxies are trusted to have appended to X-Forwarded-For (same rule as
+ * Express's numeric `trust proxy` setting).
+ */
+export function getSocketIp(socket, trustedProxyHops = 0) {
+  const remoteAddress = socket.handshake.address;
+  if (trustedProxyHops <= 0) return remoteAddress;
+
+  const forwardedFor = socket.handshake.headers['x-forwarded-for'];
+  const chain = (Array.isArray(forwardedFor) ? forwardedFor.join(',') : forwardedFor || '')
+    .split(',')
+    .map(address => address.trim())
+    .filter(Boolean);
+  chain.push(remoteAddress);
+
+  return chain[Math.max(0, chain.length - 1 - trustedProxyHops)];
+}
+
+/**
+ * Socket.IO per-socket middleware drawing from both the socket and IP budgets
+ */
+export function rateLimitEvents(socket, { socketLimiter, ipLimiter, clientIp }) {
+  return (packet, next) => {
+    const [event] = packet;
+    const eventClass = getEventClass(event);
+    const bySocket = socketLimiter.consume(eventClass, socket.id);
+    const byIp = bySocket.allowed ? ipLimiter.consume(eventClass, clientIp) : bySocket;
+
+    if (bySocket.allowed && byIp.allowed) return next();
+
+    const retryAfterMs = Math.max(bySocket.retryAfterMs, byIp.retryAfterMs);
+    rejectEvent(socket, packet, {
+      code: 'RATE_LIMITED',
+      event,
+      retryAfter: Math.ceil(retryAfterMs / 1000),
+      message: `Too many "${event}" requests. Try again in ${Math.ceil(retryAfterMs / 1000)}s.`
+    });
+  };
+}
+
+/**
+ * Express middleware limiting a route group per client IP (req.ip honours `trust proxy`)
+ */
+export function rateLimitHttp(ipLimiter, eventClass = 'http') {
+  return (req, res, next) => {
+    const { allowed, retryAfterMs } = ipLimiter.consume(eventClass, req.ip);
+    if (allowed) return next();
+
+    const retryAfter = Math.ceil(retryAfterMs / 1000);
+    res.set('Retry-After', String(retryAfter));
+    res.status(429).json({ error: 'Too many requests', retryAfter });
+  };
+}
@@ -0,0 +1,29 @@
+import crypto from 'crypto';
+import { promisify } from 'util';
+
+const scrypt = promisify(crypto.scrypt);
+
+const KEY_LENGTH = 64;
+
+/**
+ * Passphrase helpers for protected rooms
+ *
+ * Only a salted scrypt hash is kept in room metadata; the passphrase itself
+ * is never stored or logged.
+ */
+
+// Hash a room passphrase with a fresh random salt
+export async function hashPassphrase(passphrase) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = await scrypt(passphrase, salt, KEY_LENGTH);
+  return { salt, hash: hash.toString('hex') };
+}
+
+// Check a passphrase against a stored salt/hash pair (constant-time compare)
+export async function verifyPassphrase(passphrase, salt, expectedHash) {
+  if (typeof passphrase !== 'string' || !salt || !expectedHash) return false;
+
+  const hash = await scrypt(passphrase, salt, KEY_LENGTH);
+  const expected = Buffer.from(expectedHash, 'hex');
+  return expected.length === hash.length && crypto.timingSafeEqual(hash, expected);
+}
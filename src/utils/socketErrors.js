@@ -0,0 +1,19 @@
+/**
+ * Errors for socket events dropped by middleware
+ *
+ * An event sent with an ack callback gets its rejection through the ack,
+ * as { ok: false, code, event, message, ... }, the same shape handlers
+ * reply with. Without an ack the sender gets an "error" event instead.
+ */
+
+/**
+ * Reject a middleware packet ([event, ...args, ack?]) without running its handler
+ */
+export function rejectEvent(socket, packet, error) {
+  const ack = packet[packet.length - 1];
+  if (packet.length > 1 && typeof ack === 'function') {
+    ack({ ok: false, ...error });
+  } else {
+    socket.emit('error', error);
+  }
+}
@@ -0,0 +1,106 @@
+/**
+ * Calendar helpers for analytics buckets in an IANA time zone
+ *
+ * DailyStats documents are keyed by the start of the day in
+ * ANALYTICS_TIMEZONE. It defaults to the server's local zone, which is where
+ * days started before the setting existed; set it explicitly (e.g. UTC) so
+ * the buckets don't move when the server is redeployed elsewhere.
+ */
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+const formatters = new Map();
+
+function getFormatter(timeZone) {
+  let formatter = formatters.get(timeZone);
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    });
+    formatters.set(timeZone, formatter);
+  }
+  return formatter;
+}
+
+export function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || !timeZone) return false;
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// The process's zone (TZ, or the system zone)
+function getServerTimeZone() {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+}
+
+// Resolved on use so values from .env (loaded after imports) are picked up
+export function getAnalyticsTimeZone() {
+  const timeZone = process.env.ANALYTICS_TIMEZONE || getServerTimeZone();
+  return isValidTimeZone(timeZone) ? timeZone : 'UTC';
+}
+
+/**
+ * Wall-clock fields of an instant in a time zone
+ */
+export function zonedParts(date, timeZone) {
+  const parts = {};
+  for (const { type, value } of getFormatter(timeZone).formatToParts(date)) {
+    if (type !== 'literal') parts[type] = Number(value);
+  }
+  return parts;
+}
+
+// Offset of the zone from UTC at an instant, in ms
+function zoneOffset(date, timeZone) {
+  const { year, month, day, hour, minute, second } = zonedParts(date, timeZone);
+  return Date.UTC(year, month - 1, day, hour, minute, second) - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * The instant a wall-clock time occurs in a time zone
+ */
+function fromZonedTime(year, month, day, timeZone) {
+  const guess = Date.UTC(year, month - 1, day);
+  // Re-check once so days that start right after a DST change land correctly
+  const first = guess - zoneOffset(new Date(guess), timeZone);
+  return new Date(guess - zoneOffset(new Date(first), timeZone));
+}
+
+/**
+ * Midnight of the day containing `date`, in a time zone
+ */
+export function startOfDay(date, timeZone) {
+  const { year, month, day } = zonedParts(date, timeZone);
+  return fromZonedTime(year, month, day, timeZone);
+}
+
+/**
+ * Parse a `from`/`to` query value. A full ISO timestamp is taken as-is; a
+ * plain date (YYYY-MM-DD) is midnight in the time zone, or the following
+ * midnight with endOfDay so that `to=2026-01-31` includes the 31st.
+ * Returns a Date or null if the value is not a valid date.
+ */
+export function parseDateParam(value, timeZone, { endOfDay = false } = {}) {
+  if (typeof value !== 'string' || !value) return null;
+
+  if (DATE_ONLY.test(value)) {
+    const [year, month, day] = value.split('-').map(Number);
+    const check = new Date(Date.UTC(year, month - 1, day));
+    if (check.getUTCMonth() !== month - 1 || check.getUTCDate() !== day) return null;
+    return fromZonedTime(year, month, day + (endOfDay ? 1 : 0), timeZone);
+  }
+
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
@@ -1,9 +1,24 @@
 import { 
   createTransferSession, 
   updateTransferSession, 
+  transitionTransferSession,
+  recordTransferProgress,
+  recordFileStarted,
+  recordFileFinished,
+  isForeignSession,
+  hashFileName,
+  incrementDailyStat,
   logError 
 } from '../utils/analytics.js';
-import { TransferSession } from '../models/Analytics.js';
+import { canTransition } from './transferLifecycle.js';
+import { transferOutcomes, transferDuration, transferSize } from './metrics.js';
+import {
+  saveManifest,
+  getManifest,
+  updateManifest,
+  recordCheckpoint,
+  describeResumeState
+} from './transferManifest.js';
 
 /**
  * Optional Socket Event Handlers for Enhanced Transfer Tracking
@@ -14,22 +29,121 @@ import { TransferSession } from '../models/Analytics.js';
  * IMPORTANT: Your frontend needs to emit these events for this to work!
  */
 
+// How long a counted session is remembered, so later reports of the same
+// completion are not counted again
+const COUNTED_TRANSFER_TTL_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Count a completed transfer in swoosh_transfers_total (and its size, when
+ * known). transfer-complete, the final relay chunk and data-transfer can all
+ * report the same session; a marker in the room store counts it once.
+ * Returns false for a session that was already counted.
+ */
+export async function countCompletedTransfer(roomStore, roomId, sessionId, bytes) {
+  if (sessionId) {
+    const reports = await roomStore.incrementValue(`transfer-counted:${roomId}:${sessionId}`, COUNTED_TRANSFER_TTL_MS);
+    if (reports > 1) return false;
+  }
+  transferOutcomes.inc({ outcome: 'completed' });
+  if (bytes !== undefined) transferSize.observe({}, bytes);
+  return true;
+}
+
+/**
+ * Reject an event whose sessionId belongs to another room, in MongoDB or in
+ * the manifest store. Returns true when the event was rejected.
+ */
+export async function rejectForeignSession(socket, event, roomStore, roomId, sessionId) {
+  const manifest = roomStore ? await getManifest(roomStore, sessionId) : null;
+  if ((manifest && manifest.roomId !== roomId) || await isForeignSession(roomId, sessionId)) {
+    socket.emit('error', {
+      code: 'SESSION_NOT_FOUND',
+      event,
+      sessionId,
+      message: 'No transfer session with this ID in this room.'
+    });
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Move a session to `to` in MongoDB and in its manifest (if it has one).
+ * MongoDB decides when it knows the session; otherwise the manifest does.
+ * Duplicates resolve silently; illegal moves get an INVALID_TRANSITION error.
+ * Returns { outcome, from, session } as transitionTransferSession does.
+ */
+async function applyTransition(socket, event, roomStore, roomId, sessionId, to, updates = {}) {
+  let manifestOutcome = { outcome: 'not_found' };
+  await updateManifest(roomStore, sessionId, (manifest) => {
+    const from = manifest.status;
+    if (from === to) {
+      manifestOutcome = { outcome: 'duplicate', from };
+      return false;
+    }
+    if (!canTransition(from, to)) {
+      manifestOutcome = { outcome: 'invalid', from };
+      return false;
+    }
+    manifestOutcome = { outcome: 'applied', from };
+    manifest.status = to;
+  });
+
+  const sessionOutcome = await transitionTransferSession(roomId, sessionId, to, updates);
+  const result = sessionOutcome && sessionOutcome.outcome !== 'not_found' ? sessionOutcome : manifestOutcome;
+
+  if (result.outcome === 'invalid') {
+    socket.emit('error', {
+      code: 'INVALID_TRANSITION',
+      event,
+      sessionId,
+      from: result.from,
+      to,
+      message: `Transfer is ${result.from} and cannot become ${to}.`
+    });
+  }
+  return result;
+}
+
 /**
  * Track when a file transfer starts
- * Frontend should emit: socket.emit('transfer-start', { roomId, sessionId, fileCount, totalBytes })
+ * Frontend should emit: socket.emit('transfer-start', { roomId, sessionId, fileCount, totalBytes, manifest? })
+ * manifest (for resumable transfers): { chunkSize, files: [{ name, size, hash?, hashAlgorithm? }] }
  */
-export function handleTransferStart(socket) {
-  socket.on('transfer-start', async ({ roomId, sessionId, fileCount, totalBytes }) => {
+export function handleTransferStart(socket, roomStore) {
+  socket.on('transfer-start', async ({ roomId, sessionId, fileCount, totalBytes, manifest }) => {
     try {
-      await createTransferSession(roomId, sessionId, socket.id);
-      await updateTransferSession(sessionId, {
+      if (await rejectForeignSession(socket, 'transfer-start', roomStore, roomId, sessionId)) return;
+
+      const updates = {
         fileCount,
         totalBytes,
-        status: 'transferring',
         startTime: new Date()
-      });
+      };
+
+      // A repeated transfer-start must not wipe the checkpoints of the first one
+      const existingManifest = manifest && await getManifest(roomStore, sessionId);
+      if (manifest && !existingManifest) {
+        const saved = await saveManifest(roomStore, { roomId, sessionId, senderId: socket.id, ...manifest });
+        updates.fileCount = fileCount ?? saved.files.length;
+        updates.totalBytes = totalBytes ?? saved.files.reduce((sum, file) => sum + file.size, 0);
+        // File names stay in the room store; the session keeps their hashes
+        updates.manifest = {
+          chunkSize: saved.chunkSize,
+          files: saved.files.map(({ name, size, hash, chunkCount }) => ({
+            nameHash: hashFileName(sessionId, name),
+            size,
+            hash,
+            chunkCount
+          }))
+        };
+      }
+
+      await createTransferSession(roomId, sessionId, socket.id);
+      const { outcome } = await applyTransition(socket, 'transfer-start', roomStore, roomId, sessionId, 'transferring', updates);
+      if (outcome === 'duplicate' || outcome === 'invalid') return;
       
-      console.log(`[Transfer Start] Room: ${roomId} | Files: ${fileCount} | Size: ${formatBytes(totalBytes)}`);
+      console.log(`[Transfer Start] Room: ${roomId} | Files: ${updates.fileCount} | Size: ${formatBytes(updates.totalBytes || 0)}`);
     } catch (error) {
       console.error('[Transfer Start Error]:', error.message);
     }
@@ -40,26 +154,29 @@ export function handleTransferStart(socket) {
  * Track when a file transfer completes successfully
  * Frontend should emit: socket.emit('transfer-complete', { roomId, sessionId })
  */
-export function handleTransferComplete(socket) {
+export function handleTransferComplete(socket, roomStore) {
   socket.on('transfer-complete', async ({ roomId, sessionId }) => {
     try {
-      const session = await TransferSession.findOne({ sessionId });
-      if (!session) {
-        console.warn(`[Transfer Complete] Session not found: ${sessionId}`);
+      if (await rejectForeignSession(socket, 'transfer-complete', roomStore, roomId, sessionId)) return;
+
+      const { outcome, session } = await applyTransition(socket, 'transfer-complete', roomStore, roomId, sessionId, 'completed', {
+        endTime: new Date(),
+        receiverId: socket.id
+      });
+      // Applied through the manifest alone while MongoDB is unavailable: counted, but size and duration are unknown
+      if (outcome === 'applied') {
+        await countCompletedTransfer(roomStore, roomId, sessionId, session ? session.totalBytes || 0 : undefined);
+      }
+      if (outcome !== 'applied' || !session) {
+        if (outcome === 'not_found') console.warn(`[Transfer Complete] Session not found: ${sessionId}`);
         return;
       }
       
       const duration = (Date.now() - new Date(session.startTime).getTime()) / 1000;
+      transferDuration.observe({}, duration);
+      await updateTransferSession(roomId, sessionId, { duration });
       
-      await updateTransferSession(sessionId, {
-        status: 'completed',
-        endTime: new Date(),
-        duration,
-        receiverId: socket.id
-      });
-      
-      // Update daily stats
-      const { incrementDailyStat } = await import('../utils/analytics.js');
+      // Counted once: only the transition that actually completed the session gets here
       await incrementDailyStat('transfersCompleted');
       await incrementDailyStat('totalBytesTransferred', session.totalBytes);
       
@@ -71,15 +188,17 @@ export function handleTransferComplete(socket) {
 }
 
 /**
- * Track when a transfer is paused
+ * Track when a transfer is paused; the other room members get the same event with fromId
  * Frontend should emit: socket.emit('transfer-paused', { roomId, sessionId })
  */
-export function handleTransferPaused(socket) {
+export function handleTransferPaused(socket, roomStore) {
   socket.on('transfer-paused', async ({ roomId, sessionId }) => {
     try {
-      await updateTransferSession(sessionId, {
-        status: 'paused'
-      });
+      if (await rejectForeignSession(socket, 'transfer-paused', roomStore, roomId, sessionId)) return;
+
+      const { outcome } = await applyTransition(socket, 'transfer-paused', roomStore, roomId, sessionId, 'paused');
+      if (outcome === 'duplicate' || outcome === 'invalid') return;
+      socket.to(roomId).emit('transfer-paused', { roomId, sessionId, fromId: socket.id });
       
       console.log(`[Transfer Paused] Room: ${roomId} | Session: ${sessionId}`);
     } catch (error) {
@@ -89,15 +208,17 @@ export function handleTransferPaused(socket) {
 }
 
 /**
- * Track when a transfer is resumed
+ * Track when a transfer is resumed; the other room members get the same event with fromId
  * Frontend should emit: socket.emit('transfer-resumed', { roomId, sessionId })
  */
-export function handleTransferResumed(socket) {
+export function handleTransferResumed(socket, roomStore) {
   socket.on('transfer-resumed', async ({ roomId, sessionId }) => {
     try {
-      await updateTransferSession(sessionId, {
-        status: 'transferring'
-      });
+      if (await rejectForeignSession(socket, 'transfer-resumed', roomStore, roomId, sessionId)) return;
+
+      const { outcome } = await applyTransition(socket, 'transfer-resumed', roomStore, roomId, sessionId, 'transferring');
+      if (outcome === 'duplicate' || outcome === 'invalid') return;
+      socket.to(roomId).emit('transfer-resumed', { roomId, sessionId, fromId: socket.id });
       
       console.log(`[Transfer Resumed] Room: ${roomId} | Session: ${sessionId}`);
     } catch (error) {
@@ -110,13 +231,17 @@ export function handleTransferResumed(socket) {
  * Track when a transfer fails or is cancelled
  * Frontend should emit: socket.emit('transfer-failed', { roomId, sessionId, reason })
  */
-export function handleTransferFailed(socket) {
+export function handleTransferFailed(socket, roomStore) {
   socket.on('transfer-failed', async ({ roomId, sessionId, reason }) => {
     try {
-      await updateTransferSession(sessionId, {
-        status: reason === 'cancelled' ? 'cancelled' : 'failed',
+      if (await rejectForeignSession(socket, 'transfer-failed', roomStore, roomId, sessionId)) return;
+
+      const status = reason === 'cancelled' ? 'cancelled' : 'failed';
+      const { outcome } = await applyTransition(socket, 'transfer-failed', roomStore, roomId, sessionId, status, {
         endTime: new Date()
       });
+      if (outcome === 'duplicate' || outcome === 'invalid') return;
+      transferOutcomes.inc({ outcome: status });
       
       await logError('transfer_failed', reason || 'Unknown error', {
         roomId,
@@ -132,22 +257,132 @@ export function handleTransferFailed(socket) {
 }
 
 /**
- * Track transfer progress (optional - can be called periodically)
- * Frontend should emit: socket.emit('transfer-progress', { sessionId, bytesTransferred, percentage })
+ * Track one file of a batch starting (again, for a retry)
+ * Frontend should emit: socket.emit('file-start', { roomId, sessionId, fileId, name, mimeType, size })
+ * The name is only used to derive an anonymised hash; it is not stored.
  */
-export function handleTransferProgress(socket) {
-  socket.on('transfer-progress', async ({ sessionId, bytesTransferred, percentage }) => {
+export function handleFileStart(socket) {
+  socket.on('file-start', async ({ roomId, sessionId, fileId, name, mimeType, size }) => {
     try {
-      // Store progress in session metadata
-      await updateTransferSession(sessionId, {
-        $set: {
-          'metadata.lastProgress': {
-            bytesTransferred,
-            percentage,
-            timestamp: new Date()
-          }
-        }
+      if (await rejectForeignSession(socket, 'file-start', null, roomId, sessionId)) return;
+
+      const outcome = await recordFileStarted(roomId, sessionId, { fileId, name, mimeType, size });
+      if (outcome === 'retried') {
+        console.log(`[File Retry] Room: ${roomId} | Session: ${sessionId} | File: ${fileId}`);
+      }
+    } catch (error) {
+      console.error('[File Start Error]:', error.message);
+    }
+  });
+}
+
+/**
+ * Track one file of a batch arriving completely
+ * Frontend should emit: socket.emit('file-complete', { roomId, sessionId, fileId })
+ */
+export function handleFileComplete(socket) {
+  socket.on('file-complete', async ({ roomId, sessionId, fileId }) => {
+    try {
+      if (await rejectForeignSession(socket, 'file-complete', null, roomId, sessionId)) return;
+
+      await recordFileFinished(roomId, sessionId, fileId, 'completed');
+    } catch (error) {
+      console.error('[File Complete Error]:', error.message);
+    }
+  });
+}
+
+/**
+ * Track one file of a batch failing (the rest of the batch may still succeed)
+ * Frontend should emit: socket.emit('file-failed', { roomId, sessionId, fileId, reason })
+ */
+export function handleFileFailed(socket) {
+  socket.on('file-failed', async ({ roomId, sessionId, fileId, reason }) => {
+    try {
+      if (await rejectForeignSession(socket, 'file-failed', null, roomId, sessionId)) return;
+
+      const recorded = await recordFileFinished(roomId, sessionId, fileId, 'failed', reason);
+      if (!recorded) return;
+
+      await logError('transfer_failed', reason || 'File failed', {
+        roomId,
+        sessionId,
+        fileId,
+        userId: socket.id
+      });
+    } catch (error) {
+      console.error('[File Failed Error]:', error.message);
+    }
+  });
+}
+
+// Throttle state per reporter of a session (several members may report the same
+// session): Map<"sessionId:socketId", { lastBroadcastAt, lastSampleAt, lastSampleBytes, updatedAt }>
+const progressState = new Map();
+
+// Forget reporters that stopped reporting
+const progressSweep = setInterval(() => {
+  const cutoff = Date.now() - 10 * 60 * 1000;
+  for (const [stateKey, state] of progressState) {
+    if (state.updatedAt < cutoff) progressState.delete(stateKey);
+  }
+}, 60 * 1000);
+progressSweep.unref();
+
+/**
+ * Track transfer progress (can be called as often as the client likes)
+ * Frontend should emit: socket.emit('transfer-progress', { roomId, sessionId, bytesTransferred, percentage })
+ *
+ * Reports are throttled: at most one 'transfer-progress-update' per session and
+ * reporting socket every broadcastIntervalMs goes to the whole room (sender included, so other
+ * tabs and observers see it), and one sample every sampleIntervalMs is kept in
+ * the session's progress history. The final (100%) report always goes through.
+ */
+export function handleTransferProgress(socket, { broadcastIntervalMs = 500, sampleIntervalMs = 5000 } = {}) {
+  socket.on('transfer-progress', async ({ roomId, sessionId, bytesTransferred, percentage }) => {
+    try {
+      const now = Date.now();
+      const isFinal = percentage === 100;
+      const stateKey = `${sessionId}:${socket.id}`;
+      const state = progressState.get(stateKey) || { lastBroadcastAt: 0, lastSampleAt: 0, lastSampleBytes: 0 };
+      state.updatedAt = now;
+      progressState.set(stateKey, state);
+
+      if (!isFinal && now - state.lastBroadcastAt < broadcastIntervalMs) return;
+      state.lastBroadcastAt = now;
+      // Checked after the throttle so dropped reports cost no query
+      if (await rejectForeignSession(socket, 'transfer-progress', null, roomId, sessionId)) return;
+
+      const elapsedSeconds = state.lastSampleAt ? (now - state.lastSampleAt) / 1000 : 0;
+      const bytesPerSecond = elapsedSeconds > 0
+        ? Math.max(0, Math.round((bytesTransferred - state.lastSampleBytes) / elapsedSeconds))
+        : 0;
+
+      socket.nsp.to(roomId).emit('transfer-progress-update', {
+        roomId,
+        sessionId,
+        bytesTransferred,
+        percentage,
+        bytesPerSecond,
+        fromId: socket.id,
+        timestamp: now
       });
+
+      const sample = isFinal || now - state.lastSampleAt >= sampleIntervalMs;
+      if (sample) {
+        state.lastSampleAt = now;
+        state.lastSampleBytes = bytesTransferred;
+      }
+      if (isFinal) {
+        progressState.delete(stateKey);
+      }
+
+      await recordTransferProgress(roomId, sessionId, {
+        bytesTransferred,
+        percentage,
+        bytesPerSecond,
+        timestamp: new Date(now)
+      }, { sample });
       
       // Optional: Log significant milestones
       if (percentage % 25 === 0) {
@@ -159,6 +394,70 @@ export function handleTransferProgress(socket) {
   });
 }
 
+/**
+ * Receiver checkpoints completed chunks of one file (half-open chunk index ranges)
+ * Frontend should emit: socket.emit('transfer-checkpoint', { roomId, sessionId, fileIndex, ranges: [[0, 128]] })
+ */
+export function handleTransferCheckpoint(socket, roomStore) {
+  socket.on('transfer-checkpoint', async ({ roomId, sessionId, fileIndex, ranges }) => {
+    try {
+      const manifest = await getManifest(roomStore, sessionId);
+      if (!manifest || manifest.roomId !== roomId) {
+        socket.emit('error', {
+          code: 'SESSION_NOT_FOUND',
+          event: 'transfer-checkpoint',
+          message: 'No transfer manifest for this session.'
+        });
+        return;
+      }
+
+      if (!manifest.files[fileIndex]) {
+        socket.emit('error', {
+          code: 'INVALID_CHECKPOINT',
+          event: 'transfer-checkpoint',
+          message: `File index ${fileIndex} is not in the manifest.`
+        });
+        return;
+      }
+
+      await recordCheckpoint(roomStore, sessionId, fileIndex, ranges);
+    } catch (error) {
+      console.error('[Transfer Checkpoint Error]:', error.message);
+    }
+  });
+}
+
+/**
+ * Ask which chunks of a session are still missing, e.g. after a reconnect.
+ * Answers through the ack callback if given, otherwise with a 'transfer-resume-info' event.
+ * Frontend should emit: socket.emit('transfer-resume-info', { roomId, sessionId }, (info) => ...)
+ */
+export function handleTransferResumeInfo(socket, roomStore) {
+  socket.on('transfer-resume-info', async ({ roomId, sessionId }, ack) => {
+    try {
+      const manifest = await getManifest(roomStore, sessionId);
+      if (!manifest || manifest.roomId !== roomId) {
+        const error = { code: 'SESSION_NOT_FOUND', message: 'No transfer manifest for this session.' };
+        if (typeof ack === 'function') {
+          ack({ error });
+        } else {
+          socket.emit('error', { ...error, event: 'transfer-resume-info' });
+        }
+        return;
+      }
+
+      const info = describeResumeState(sessionId, manifest);
+      if (typeof ack === 'function') {
+        ack(info);
+      } else {
+        socket.emit('transfer-resume-info', info);
+      }
+    } catch (error) {
+      console.error('[Transfer Resume Info Error]:', error.message);
+    }
+  });
+}
+
 // Utility function to format bytes
 function formatBytes(bytes, decimals = 2) {
   if (bytes === 0) return '0 Bytes';
@@ -183,16 +482,26 @@ function formatBytes(bytes, decimals = 2) {
  *   handleTransferPaused,
  *   handleTransferResumed,
  *   handleTransferFailed,
+ *   handleTransferCheckpoint,
+ *   handleTransferResumeInfo,
+ *   handleFileStart,
+ *   handleFileComplete,
+ *   handleFileFailed,
  *   handleTransferProgress
  * } from './utils/transferHandlers.js';
  * 
  * Then inside io.on("connection", (socket) => { ... }), add:
  * 
  * // Optional: Enhanced transfer tracking
- * handleTransferStart(socket);
- * handleTransferComplete(socket);
- * handleTransferPaused(socket);
- * handleTransferResumed(socket);
- * handleTransferFailed(socket);
+ * handleTransferStart(socket, roomStore);
+ * handleTransferComplete(socket, roomStore);
+ * handleTransferPaused(socket, roomStore);
+ * handleTransferResumed(socket, roomStore);
+ * handleTransferFailed(socket, roomStore);
+ * handleTransferCheckpoint(socket, roomStore);
+ * handleTransferResumeInfo(socket, roomStore);
+ * handleFileStart(socket);
+ * handleFileComplete(socket);
+ * handleFileFailed(socket);
  * handleTransferProgress(socket); // Optional - for progress tracking
  */
@@ -0,0 +1,36 @@
+/**
+ * Transfer session lifecycle
+ *
+ *   initiated ──> transferring <──> paused
+ *       │              │              │
+ *       └──────────────┴──────────────┴──> completed | failed | cancelled | abandoned
+ *
+ * initiated -> completed covers simple-mode transfers that only report
+ * `data-transfer`. The four end states are final. `abandoned` is set by the
+ * server when a room is dismissed with the transfer still open.
+ */
+
+export const TRANSFER_STATUSES = ['initiated', 'transferring', 'paused', 'completed', 'failed', 'cancelled', 'abandoned'];
+
+const END_STATES = ['completed', 'failed', 'cancelled', 'abandoned'];
+
+export const OPEN_STATUSES = ['initiated', 'transferring', 'paused'];
+
+const TRANSITIONS = {
+  initiated: ['transferring', ...END_STATES],
+  transferring: ['paused', ...END_STATES],
+  paused: ['transferring', ...END_STATES],
+  completed: [],
+  failed: [],
+  cancelled: [],
+  abandoned: []
+};
+
+export function canTransition(from, to) {
+  return Boolean(TRANSITIONS[from]?.includes(to));
+}
+
+// Statuses a session may be in to move to `to`
+export function allowedSources(to) {
+  return Object.keys(TRANSITIONS).filter((from) => canTransition(from, to));
+}
@@ -0,0 +1,161 @@
+/**
+ * Resumable transfer manifests
+ *
+ * The sender registers a manifest with `transfer-start`:
+ *   { chunkSize, files: [{ name, size, hash?, hashAlgorithm? }] }
+ *
+ * Receivers checkpoint completed chunks per file as half-open index ranges
+ * ([[start, end), ...]); after a reconnect either side can ask which chunks
+ * are still missing. Manifests live in the room store (not MongoDB) so resume
+ * works without analytics and across instances.
+ */
+
+const DEFAULT_MANIFEST_TTL_MS = 24 * 60 * 60 * 1000;
+
+// Checkpoints for one session are merged one at a time within this instance
+const updateQueues = new Map();
+
+function manifestKey(sessionId) {
+  return `manifest:${sessionId}`;
+}
+
+// Resolved on use so values from .env (loaded after imports) are picked up
+function getManifestTtl() {
+  return parseInt(process.env.TRANSFER_MANIFEST_TTL_MS, 10) || DEFAULT_MANIFEST_TTL_MS;
+}
+
+/**
+ * Sort, clamp to [0, chunkCount) and merge overlapping or touching ranges
+ */
+export function normalizeRanges(ranges, chunkCount) {
+  const clamped = ranges
+    .map(([start, end]) => [Math.max(0, start), Math.min(chunkCount, end)])
+    .filter(([start, end]) => end > start)
+    .sort((a, b) => a[0] - b[0]);
+
+  const merged = [];
+  for (const [start, end] of clamped) {
+    const last = merged[merged.length - 1];
+    if (last && start <= last[1]) {
+      last[1] = Math.max(last[1], end);
+    } else {
+      merged.push([start, end]);
+    }
+  }
+  return merged;
+}
+
+// Complement of completed ranges within [0, chunkCount)
+function missingRanges(completed, chunkCount) {
+  const missing = [];
+  let cursor = 0;
+  for (const [start, end] of completed) {
+    if (start > cursor) missing.push([cursor, start]);
+    cursor = end;
+  }
+  if (cursor < chunkCount) missing.push([cursor, chunkCount]);
+  return missing;
+}
+
+function countChunks(ranges) {
+  return ranges.reduce((sum, [start, end]) => sum + (end - start), 0);
+}
+
+/**
+ * Store a new manifest for a session (replaces any previous one)
+ */
+export async function saveManifest(roomStore, { roomId, sessionId, senderId, chunkSize, files }) {
+  const manifest = {
+    roomId,
+    senderId,
+    chunkSize,
+    status: 'initiated',
+    files: files.map(({ name, size, hash, hashAlgorithm }) => ({
+      name,
+      size,
+      hash,
+      hashAlgorithm,
+      chunkCount: Math.ceil(size / chunkSize),
+      completed: []
+    })),
+    createdAt: Date.now()
+  };
+
+  await roomStore.setValue(manifestKey(sessionId), manifest, getManifestTtl());
+  return manifest;
+}
+
+export function getManifest(roomStore, sessionId) {
+  return roomStore.getValue(manifestKey(sessionId));
+}
+
+/**
+ * Read-modify-write a manifest; mutate(manifest) returns false to skip the write.
+ * Resolves to the updated manifest, or null if there is none.
+ */
+export function updateManifest(roomStore, sessionId, mutate) {
+  const previous = updateQueues.get(sessionId) || Promise.resolve();
+  const next = previous.then(async () => {
+    const manifest = await getManifest(roomStore, sessionId);
+    if (!manifest || mutate(manifest) === false) return manifest;
+    await roomStore.setValue(manifestKey(sessionId), manifest, getManifestTtl());
+    return manifest;
+  });
+
+  const settled = next.catch(() => {});
+  updateQueues.set(sessionId, settled);
+  settled.then(() => {
+    if (updateQueues.get(sessionId) === settled) updateQueues.delete(sessionId);
+  });
+  return next;
+}
+
+/**
+ * Merge a receiver checkpoint for one file into the manifest
+ */
+export function recordCheckpoint(roomStore, sessionId, fileIndex, ranges) {
+  return updateManifest(roomStore, sessionId, (manifest) => {
+    const file = manifest.files[fileIndex];
+    if (!file) return false;
+    file.completed = normalizeRanges([...file.completed, ...ranges], file.chunkCount);
+  });
+}
+
+/**
+ * What a reconnecting client needs to pick up where it left off
+ */
+export function describeResumeState(sessionId, manifest) {
+  let bytesRemaining = 0;
+
+  const files = manifest.files.map((file, index) => {
+    const missingChunks = missingRanges(file.completed, file.chunkCount);
+    const lastChunkBytes = file.size - (file.chunkCount - 1) * manifest.chunkSize;
+    const lastChunkMissing = missingChunks.length > 0 && missingChunks[missingChunks.length - 1][1] === file.chunkCount;
+    const missingCount = countChunks(missingChunks);
+    bytesRemaining += missingCount === 0
+      ? 0
+      : (missingCount - (lastChunkMissing ? 1 : 0)) * manifest.chunkSize + (lastChunkMissing ? lastChunkBytes : 0);
+
+    return {
+      index,
+      name: file.name,
+      size: file.size,
+      hash: file.hash,
+      hashAlgorithm: file.hashAlgorithm,
+      chunkCount: file.chunkCount,
+      completedChunks: file.completed,
+      missingChunks
+    };
+  });
+
+  return {
+    roomId: manifest.roomId,
+    sessionId,
+    senderId: manifest.senderId,
+    status: manifest.status,
+    chunkSize: manifest.chunkSize,
+    files,
+    bytesRemaining,
+    complete: files.every((file) => file.missingChunks.length === 0)
+  };
+}
@@ -0,0 +1,437 @@
+import { logError } from './analytics.js';
+import { rejectEvent } from './socketErrors.js';
+
+/**
+ * Socket Event Payload Validation
+ *
+ * Every incoming event with an entry in EVENT_SCHEMAS is checked before its
+ * handler runs. Invalid payloads are dropped and the client receives:
+ *
+ *   socket.on('error', ({ code: 'VALIDATION_FAILED', event, message, details }) => ...)
+ *
+ * where details is [{ field, message }]. Events sent with an ack callback get
+ * the same fields through the ack instead, with ok: false.
+ *
+ * Field spec:
+ *   type       'string' | 'number' | 'integer' | 'boolean' | 'object' | 'binary' | 'null', or an array of them
+ *   required   Field must be present (undefined fails)
+ *   maxLength  Max string length
+ *   maxBytes   Max JSON-serialized size (SDP blobs, candidates), or byte length for binary
+ *   min / max  Numeric bounds
+ *   enum       Allowed values
+ *   pattern    RegExp a string must match
+ *   fields     Nested field specs for objects
+ *   oneOf      Names of object fields of which exactly one must be present
+ *   items      Field spec every element of an array must match
+ *   minItems / maxItems  Array length bounds
+ */
+
+// Real SDP blobs are a few KB; ICE candidates a few hundred bytes
+const MAX_SDP_BYTES = 64 * 1024;
+const MAX_CANDIDATE_BYTES = 4 * 1024;
+// Encrypted/signed envelopes carry base64 SDP plus IV and signature
+const MAX_ENVELOPE_BYTES = 96 * 1024;
+const MAX_PUBLIC_KEY_BYTES = 4 * 1024;
+// Chat messages and text snippets (UTF-8, JSON-encoded)
+const MAX_MESSAGE_BYTES = 16 * 1024;
+// Relay chunks stay well under Socket.IO's default 1 MB maxHttpBufferSize
+export const MAX_RELAY_CHUNK_BYTES = 64 * 1024;
+
+const roomId = { type: 'string', pattern: /^[A-Z0-9]{6}$/, required: true };
+const socketId = { type: 'string', maxLength: 64 };
+const sessionId = { type: 'string', maxLength: 128, required: true };
+const byteCount = { type: 'number', min: 0, max: Number.MAX_SAFE_INTEGER };
+const candidateTypes = ['host', 'srflx', 'prflx', 'relay'];
+const envelope = { type: ['object', 'string'], maxBytes: MAX_ENVELOPE_BYTES };
+const fileId = { type: ['string', 'integer'], required: true, maxLength: 128 };
+const chunkIndex = { type: 'integer', required: true, min: 0, max: Number.MAX_SAFE_INTEGER };
+
+// Resumable transfers: manifest file list and checkpoint range caps
+const MAX_MANIFEST_FILES = 1000;
+const MAX_CHECKPOINT_RANGES = 1000;
+
+export const EVENT_SCHEMAS = {
+  // --- Room management ---
+  'create-room': {
+    type: ['object', 'null'],
+    fields: {
+      capacity: { type: 'integer', min: 2, max: 1000 },
+      mode: { type: 'string', enum: ['pair', 'broadcast'] },
+      passphrase: { type: 'string', maxLength: 128 },
+      requireApproval: { type: 'boolean' },
+      e2e: { type: 'boolean' }
+    }
+  },
+  'join-room': {
+    type: ['string', 'object'],
+    required: true,
+    pattern: roomId.pattern,
+    fields: {
+      roomId: { ...roomId, required: false },
+      passphrase: { type: 'string', maxLength: 128 },
+      inviteToken: { type: 'string', maxLength: 512 },
+      displayName: { type: 'string', maxLength: 256 },
+      deviceInfo: { type: 'string', maxLength: 512 }
+    }
+  },
+  'rejoin-room': {
+    type: 'object',
+    required: true,
+    fields: {
+      roomId,
+      reconnectToken: { type: 'string', maxLength: 128, required: true }
+    }
+  },
+  'approve-join': { type: 'object', required: true, fields: { userId: { ...socketId, required: true } } },
+  'deny-join': { type: 'object', required: true, fields: { userId: { ...socketId, required: true } } },
+
+  // --- Signaling ---
+  // Each carries either the plain value or an opaque end-to-end envelope
+  'offer': {
+    type: 'object',
+    required: true,
+    oneOf: ['offer', 'envelope'],
+    fields: {
+      roomId,
+      targetId: socketId,
+      offer: { type: ['object', 'string'], maxBytes: MAX_SDP_BYTES },
+      envelope
+    }
+  },
+  'answer': {
+    type: 'object',
+    required: true,
+    oneOf: ['answer', 'envelope'],
+    fields: {
+      roomId,
+      targetId: socketId,
+      answer: { type: ['object', 'string'], maxBytes: MAX_SDP_BYTES },
+      envelope
+    }
+  },
+  'ice-candidate': {
+    type: 'object',
+    required: true,
+    oneOf: ['candidate', 'envelope'],
+    fields: {
+      roomId,
+      targetId: socketId,
+      // null marks end-of-candidates
+      candidate: { type: ['object', 'string', 'null'], maxBytes: MAX_CANDIDATE_BYTES },
+      envelope
+    }
+  },
+  'key-exchange': {
+    type: 'object',
+    required: true,
+    fields: {
+      roomId,
+      targetId: socketId,
+      publicKey: { type: ['object', 'string'], required: true, maxBytes: MAX_PUBLIC_KEY_BYTES },
+      algorithm: { type: 'string', maxLength: 64 }
+    }
+  },
+
+  'connection-state': {
+    type: 'object',
+    required: true,
+    fields: {
+      roomId,
+      sessionId: { ...sessionId, required: false },
+      peerId: socketId,
+      iceConnectionState: {
+        type: 'string',
+        required: true,
+        enum: ['new', 'checking', 'connected', 'completed', 'disconnected', 'failed', 'closed']
+      },
+      connectionState: {
+        type: 'string',
+        enum: ['new', 'connecting', 'connected', 'disconnected', 'failed', 'closed']
+      },
+      localCandidateType: { type: 'string', enum: candidateTypes },
+      remoteCandidateType: { type: 'string', enum: candidateTypes }
+    }
+  },
+
+  // --- Room messages ---
+  'room-message': {
+    type: 'object',
+    required: true,
+    fields: {
+      roomId,
+      targetId: socketId,
+      // Must contain something other than whitespace
+      text: { type: 'string', required: true, pattern: /\S/, maxBytes: MAX_MESSAGE_BYTES },
+      kind: { type: 'string', enum: ['chat', 'snippet'] }
+    }
+  },
+
+  // --- Relay fallback ---
+  'relay-chunk': {
+    type: 'object',
+    required: true,
+    fields: {
+      roomId,
+      sessionId,
+      targetId: socketId,
+      seq: { type: 'integer', required: true, min: 0, max: Number.MAX_SAFE_INTEGER },
+      data: { type: 'binary', required: true, maxBytes: MAX_RELAY_CHUNK_BYTES },
+      final: { type: 'boolean' }
+    }
+  },
+
+  // --- Transfers ---
+  'data-transfer': {
+    type: 'object',
+    required: true,
+    fields: {
+      roomId,
+      bytes: { ...byteCount, required: true },
+      sessionId: { ...sessionId, required: false }
+    }
+  },
+  'transfer-start': {
+    type: 'object',
+    required: true,
+    fields: {
+      roomId,
+      sessionId,
+      fileCount: { type: 'integer', min: 0, max: 100000 },
+      totalBytes: byteCount,
+      manifest: {
+        type: 'object',
+        fields: {
+          chunkSize: { type: 'integer', required: true, min: 1024, max: 16 * 1024 * 1024 },
+          files: {
+            type: 'array',
+            required: true,
+            maxItems: MAX_MANIFEST_FILES,
+            items: {
+              type: 'object',
+              required: true,
+              fields: {
+                name: { type: 'string', required: true, maxLength: 1024 },
+                size: { ...byteCount, required: true },
+                hash: { type: 'string', maxLength: 256 },
+                hashAlgorithm: { type: 'string', maxLength: 32 }
+              }
+            }
+          }
+        }
+      }
+    }
+  },
+  'transfer-checkpoint': {
+    type: 'object',
+    required: true,
+    fields: {
+      roomId,
+      sessionId,
+      fileIndex: { type: 'integer', required: true, min: 0, max: MAX_MANIFEST_FILES - 1 },
+      ranges: {
+        type: 'array',
+        required: true,
+        maxItems: MAX_CHECKPOINT_RANGES,
+        // Half-open [start, end) chunk index range
+        items: { type: 'array', required: true, minItems: 2, maxItems: 2, items: chunkIndex }
+      }
+    }
+  },
+  'file-offer': {
+    type: 'object',
+    required: true,
+    fields: {
+      roomId,
+      sessionId,
+      targetId: socketId,
+      files: {
+        type: 'array',
+        required: true,
+        minItems: 1,
+        maxItems: MAX_MANIFEST_FILES,
+        items: {
+          type: 'object',
+          required: true,
+          fields: {
+            fileId,
+            name: { type: 'string', required: true, maxLength: 1024 },
+            size: { ...byteCount, required: true },
+            mimeType: { type: 'string', maxLength: 255 }
+          }
+        }
+      }
+    }
+  },
+  'file-offer-response': {
+    type: 'object',
+    required: true,
+    fields: {
+      roomId,
+      sessionId,
+      accepted: { type: 'array', required: true, maxItems: MAX_MANIFEST_FILES, items: fileId }
+    }
+  },
+  'file-start': {
+    type: 'object',
+    required: true,
+    fields: {
+      roomId,
+      sessionId,
+      fileId,
+      name: { type: 'string', maxLength: 1024 },
+      mimeType: { type: 'string', maxLength: 255 },
+      size: { ...byteCount, required: true }
+    }
+  },
+  'file-complete': { type: 'object', required: true, fields: { roomId, sessionId, fileId } },
+  'file-failed': {
+    type: 'object',
+    required: true,
+    fields: {
+      roomId,
+      sessionId,
+      fileId,
+      reason: { type: 'string', maxLength: 256 }
+    }
+  },
+  'transfer-resume-info': { type: 'object', required: true, fields: { roomId, sessionId } },
+  'transfer-complete': { type: 'object', required: true, fields: { roomId, sessionId } },
+  'transfer-paused': { type: 'object', required: true, fields: { roomId, sessionId } },
+  'transfer-resumed': { type: 'object', required: true, fields: { roomId, sessionId } },
+  'transfer-failed': {
+    type: 'object',
+    required: true,
+    fields: {
+      roomId,
+      sessionId,
+      reason: { type: 'string', maxLength: 256 }
+    }
+  },
+  'transfer-progress': {
+    type: 'object',
+    required: true,
+    fields: {
+      roomId,
+      sessionId,
+      bytesTransferred: { ...byteCount, required: true },
+      percentage: { type: 'number', min: 0, max: 100 }
+    }
+  }
+};
+
+function isBinary(value) {
+  return Buffer.isBuffer(value) || value instanceof ArrayBuffer || ArrayBuffer.isView(value);
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (isBinary(value)) return 'binary';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  if (type === 'integer') return Number.isInteger(value);
+  if (type === 'number') return typeof value === 'number' && Number.isFinite(value);
+  return typeOf(value) === type;
+}
+
+// Collect { field, message } problems for a value against a spec
+function checkValue(value, spec, field, details) {
+  if (value === undefined) {
+    if (spec.required) details.push({ field, message: 'is required' });
+    return;
+  }
+
+  const types = Array.isArray(spec.type) ? spec.type : [spec.type];
+  if (!types.some((type) => matchesType(value, type))) {
+    details.push({ field, message: `must be ${types.join(' or ')}` });
+    return;
+  }
+
+  if (typeof value === 'string') {
+    if (spec.maxLength !== undefined && value.length > spec.maxLength) {
+      details.push({ field, message: `must be at most ${spec.maxLength} characters` });
+    }
+    if (spec.pattern && !spec.pattern.test(value)) {
+      details.push({ field, message: 'has an invalid format' });
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (spec.min !== undefined && value < spec.min) details.push({ field, message: `must be >= ${spec.min}` });
+    if (spec.max !== undefined && value > spec.max) details.push({ field, message: `must be <= ${spec.max}` });
+  }
+
+  if (spec.enum && !spec.enum.includes(value)) {
+    details.push({ field, message: `must be one of: ${spec.enum.join(', ')}` });
+  }
+
+  const byteLength = () => isBinary(value) ? value.byteLength : Buffer.byteLength(JSON.stringify(value));
+  if (spec.maxBytes !== undefined && byteLength() > spec.maxBytes) {
+    details.push({ field, message: `must be at most ${spec.maxBytes} bytes` });
+  }
+
+  if (Array.isArray(value)) {
+    if (spec.minItems !== undefined && value.length < spec.minItems) {
+      details.push({ field, message: `must have at least ${spec.minItems} items` });
+    }
+    if (spec.maxItems !== undefined && value.length > spec.maxItems) {
+      details.push({ field, message: `must have at most ${spec.maxItems} items` });
+      return;
+    }
+    if (spec.items) {
+      value.forEach((item, index) => checkValue(item, spec.items, `${field}[${index}]`, details));
+    }
+  }
+
+  if (spec.oneOf && typeOf(value) === 'object') {
+    const present = spec.oneOf.filter((name) => value[name] !== undefined);
+    if (present.length !== 1) {
+      details.push({ field: field || 'payload', message: `must have exactly one of: ${spec.oneOf.join(', ')}` });
+    }
+  }
+
+  if (spec.fields && typeOf(value) === 'object') {
+    for (const [name, fieldSpec] of Object.entries(spec.fields)) {
+      checkValue(value[name], fieldSpec, field ? `${field}.${name}` : name, details);
+    }
+  }
+}
+
+/**
+ * Validate a payload for an event. Returns [] when valid (or the event has no schema).
+ */
+export function validatePayload(event, payload) {
+  const schema = EVENT_SCHEMAS[event];
+  if (!schema) return [];
+
+  const details = [];
+  checkValue(payload, schema, '', details);
+  return details.map(({ field, message }) => ({ field: field || 'payload', message }));
+}
+
+/**
+ * Socket.IO per-socket middleware: socket.use(validateEvents(socket))
+ */
+export function validateEvents(socket) {
+  return (packet, next) => {
+    const [event, payload] = packet;
+    const details = validatePayload(event, payload);
+    if (details.length === 0) return next();
+
+    rejectEvent(socket, packet, {
+      code: 'VALIDATION_FAILED',
+      event,
+      message: `Invalid payload for "${event}".`,
+      details
+    });
+
+    logError('validation_failed', `Invalid payload for ${event}`, {
+      event,
+      userId: socket.id,
+      roomId: typeof payload?.roomId === 'string' ? payload.roomId.slice(0, 16) : undefined,
+      details
+    });
+  };
+}
@@ -0,0 +1,94 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  authenticateAdmin,
+  createAdminToken,
+  hasScope,
+  requireScope,
+  hashRoomCode,
+  roomCodeFor
+} from '../src/utils/adminAuth.js';
+
+// Read on first use, so setting them here is early enough
+process.env.ADMIN_API_KEYS = 'ops:ops-key:admin, dashboard:dash-key:analytics+rooms, broken:key:root, nokey';
+process.env.ADMIN_TOKEN_SECRET = 'test-admin-secret';
+
+function fakeResponse() {
+  return {
+    headers: {},
+    set(name, value) { this.headers[name] = value; },
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; }
+  };
+}
+
+function callRequireScope(scope, authorization) {
+  const req = { get: (name) => (name === 'authorization' ? authorization : undefined) };
+  const res = fakeResponse();
+  let passed = false;
+  requireScope(scope)(req, res, () => { passed = true; });
+  return { req, res, passed };
+}
+
+test('API keys resolve to their name and scopes; malformed entries are skipped', (t) => {
+  t.mock.method(console, 'warn', () => {});
+  assert.deepEqual(authenticateAdmin('ops-key'), { name: 'ops', scopes: ['admin'] });
+  assert.deepEqual(authenticateAdmin('dash-key'), { name: 'dashboard', scopes: ['analytics', 'rooms'] });
+  assert.equal(authenticateAdmin('key'), null);
+  assert.equal(authenticateAdmin('wrong'), null);
+  assert.equal(authenticateAdmin(''), null);
+  assert.equal(authenticateAdmin(undefined), null);
+});
+
+test('signed tokens carry their scopes until they expire', () => {
+  const { token, expiresAt } = createAdminToken('grafana', ['analytics', 'bogus'], 60);
+  assert.ok(expiresAt > new Date());
+  assert.deepEqual(authenticateAdmin(token), { name: 'grafana', scopes: ['analytics'] });
+
+  const expired = createAdminToken('grafana', ['analytics'], 0);
+  assert.equal(authenticateAdmin(expired.token), null);
+});
+
+test('tampered tokens are rejected', () => {
+  const { token } = createAdminToken('grafana', ['analytics'], 60);
+  const [, signature] = token.split('.');
+  const forged = Buffer.from(JSON.stringify({ sub: 'grafana', scp: ['admin'], exp: 9999999999 })).toString('base64url');
+
+  assert.equal(authenticateAdmin(`${forged}.${signature}`), null);
+  assert.equal(authenticateAdmin(`${token}.extra`), null);
+});
+
+test('admin implies every scope', () => {
+  assert.equal(hasScope({ scopes: ['admin'] }, 'rooms'), true);
+  assert.equal(hasScope({ scopes: ['analytics'] }, 'rooms'), false);
+  assert.equal(hasScope(null, 'analytics'), false);
+});
+
+test('requireScope answers 401 without a credential and 403 without the scope', () => {
+  const missing = callRequireScope('analytics');
+  assert.equal(missing.passed, false);
+  assert.equal(missing.res.statusCode, 401);
+  assert.equal(missing.res.headers['WWW-Authenticate'], 'Bearer');
+
+  const { token } = createAdminToken('grafana', ['analytics'], 60);
+  const forbidden = callRequireScope('admin', `Bearer ${token}`);
+  assert.equal(forbidden.passed, false);
+  assert.equal(forbidden.res.statusCode, 403);
+
+  const allowed = callRequireScope('analytics', `bearer ${token}`);
+  assert.equal(allowed.passed, true);
+  assert.deepEqual(allowed.req.admin, { name: 'grafana', scopes: ['analytics'] });
+});
+
+test('room codes hash to a stable pseudonym', () => {
+  assert.equal(hashRoomCode('ABC123'), hashRoomCode('ABC123'));
+  assert.notEqual(hashRoomCode('ABC123'), hashRoomCode('ABC124'));
+  assert.match(hashRoomCode('ABC123'), /^[a-f0-9]{12}$/);
+});
+
+test('only credentials with the rooms scope see raw room codes', () => {
+  assert.equal(roomCodeFor({ scopes: ['analytics', 'rooms'] }, 'ABC123'), 'ABC123');
+  assert.equal(roomCodeFor({ scopes: ['admin'] }, 'ABC123'), 'ABC123');
+  assert.equal(roomCodeFor({ scopes: ['analytics'] }, 'ABC123'), hashRoomCode('ABC123'));
+  assert.equal(roomCodeFor(undefined, 'ABC123'), hashRoomCode('ABC123'));
+});
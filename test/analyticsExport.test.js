@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { hashRoomCodes, encodePageToken, decodePageToken } from '../src/utils/analyticsExport.js';
+
+const hash = (roomId) => `h(${roomId})`;
+
+test('room codes are hashed in the roomId column and derived session IDs', () => {
+  const row = { roomId: 'AB12CD', sessionId: 'AB12CD-1767225600000', status: 'completed' };
+  assert.deepEqual(hashRoomCodes(row, hash), {
+    roomId: 'h(AB12CD)',
+    sessionId: 'h(AB12CD)-1767225600000',
+    status: 'completed'
+  });
+  // The source row is left alone
+  assert.equal(row.roomId, 'AB12CD');
+});
+
+test('derived session IDs are hashed even when roomId is not exported', () => {
+  assert.deepEqual(hashRoomCodes({ sessionId: 'AB12CD-1767225600000' }, hash), { sessionId: 'h(AB12CD)-1767225600000' });
+});
+
+test('client-chosen session IDs are kept', () => {
+  const sessionId = '9f3c0e4a-2b1d-4c8e-a7f6-5d2e1b0c9a8f';
+  assert.equal(hashRoomCodes({ sessionId }, hash).sessionId, sessionId);
+});
+
+test('room codes in error-log metadata are hashed', () => {
+  const row = {
+    errorType: 'unauthorized_signal',
+    roomId: 'AB12CD',
+    metadata: { roomId: 'AB12CD', sessionId: 'AB12CD-1767225600000', memberOf: 'EF34GH', event: 'offer' }
+  };
+  assert.deepEqual(hashRoomCodes(row, hash), {
+    errorType: 'unauthorized_signal',
+    roomId: 'h(AB12CD)',
+    metadata: { roomId: 'h(AB12CD)', sessionId: 'h(AB12CD)-1767225600000', memberOf: 'h(EF34GH)', event: 'offer' }
+  });
+});
+
+test('rows without room codes pass through', () => {
+  assert.deepEqual(hashRoomCodes({ timestamp: 1, metadata: null }, hash), { timestamp: 1, metadata: null });
+  // A sender that is in no room is logged with memberOf: null
+  assert.deepEqual(hashRoomCodes({ metadata: { memberOf: null } }, hash), { metadata: { memberOf: null } });
+});
+
+test('page tokens round-trip and reject tampering', () => {
+  const doc = { _id: '65a1b2c3d4e5f60718293a4b', timestamp: new Date('2026-01-01T00:00:00Z') };
+  assert.deepEqual(decodePageToken(encodePageToken(doc, 'timestamp')), { t: doc.timestamp.getTime(), id: doc._id });
+  assert.equal(decodePageToken('not-a-token'), null);
+  assert.equal(decodePageToken(Buffer.from(JSON.stringify({ t: 1, id: '{"$gt":""}' })).toString('base64url')), null);
+});
@@ -0,0 +1,75 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startFakeRedis } from './helpers/fakeRedis.js';
+import { startServer, connect, nextEvent } from './helpers/server.js';
+
+// Two instances sharing one Redis stand-in, as behind a load balancer
+let redis;
+let first;
+let second;
+const sockets = [];
+
+function client(server) {
+  const socket = connect(server);
+  sockets.push(socket);
+  return socket;
+}
+
+before(async () => {
+  redis = await startFakeRedis();
+  const env = { REDIS_URL: redis.url, MEMBER_SWEEP_INTERVAL_MS: '300', RECONNECT_GRACE_MS: '0' };
+  [first, second] = await Promise.all([startServer(env), startServer(env)]);
+});
+
+after(async () => {
+  for (const socket of sockets) socket.close();
+  await Promise.all([first?.stop(), second?.stop()]);
+  await redis?.close();
+});
+
+test('a room created on one instance is joinable and signals across instances', async () => {
+  const host = client(first);
+  const guest = client(second);
+
+  host.emit('create-room', {});
+  const { roomId } = await nextEvent(host, 'room-created');
+
+  guest.emit('join-room', roomId);
+  const joined = await nextEvent(guest, 'room-joined');
+  assert.deepEqual(joined.peers, [host.id]);
+
+  guest.emit('offer', { roomId, offer: { type: 'offer', sdp: 'v=0' } });
+  const offer = await nextEvent(host, 'offer');
+  assert.equal(offer.fromId, guest.id);
+});
+
+test('room keys carry a TTL derived from the room lifetime', async () => {
+  const host = client(first);
+  host.emit('create-room', {});
+  const { roomId } = await nextEvent(host, 'room-created');
+
+  for (const key of [`swoosh:room:${roomId}:meta`, `swoosh:room:${roomId}:members`, `swoosh:socket:${host.id}:room`]) {
+    assert.ok(redis.inspect(key)?.expiresAt > Date.now(), `${key} has a TTL`);
+  }
+});
+
+test('seats of a crashed instance are released by the member sweep', async () => {
+  const crashing = await startServer({ REDIS_URL: redis.url, RECONNECT_GRACE_MS: '0' });
+  try {
+    const host = client(first);
+    const guest = client(crashing);
+
+    host.emit('create-room', {});
+    const { roomId } = await nextEvent(host, 'room-created');
+    guest.emit('join-room', roomId);
+    await nextEvent(guest, 'room-joined');
+    const guestId = guest.id;
+
+    await crashing.stop('SIGKILL');
+    const left = await nextEvent(host, 'user-left', 5000);
+    assert.equal(left.userId, guestId);
+    assert.equal(left.occupancy, 1);
+  } finally {
+    await crashing.stop('SIGKILL');
+  }
+});
@@ -0,0 +1,170 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { Readable } from 'stream';
+import { createDropStore } from '../src/store/dropStore.js';
+import { startServer, connect, nextEvent, sleep } from './helpers/server.js';
+
+const dirs = [];
+
+async function createStore(options = {}) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'swoosh-drops-'));
+  dirs.push(dir);
+  const store = createDropStore({ dir, ttlMs: 60000, maxRoomBytes: 100, maxTotalBytes: 150, ...options });
+  await store.init();
+  return store;
+}
+
+const bytes = (text) => Readable.from([Buffer.from(text)]);
+
+async function readAll(stream) {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks).toString();
+}
+
+after(async () => {
+  for (const dir of dirs) await fs.rm(dir, { recursive: true, force: true });
+});
+
+test('the first blob of a room creates its box and drop key', async () => {
+  const store = await createStore();
+  const first = await store.createBlob('ABC123', 1000, { size: 10, metadata: 'opaque' });
+  assert.ok(first.dropKey);
+  assert.ok(first.uploadToken);
+  assert.equal(first.blob.complete, false);
+
+  const second = await store.createBlob('ABC123', 1000, { size: 10 });
+  assert.equal(second.dropKey, undefined);
+  assert.equal(await store.verifyDropKey('ABC123', first.dropKey), true);
+  assert.equal(await store.verifyDropKey('ABC123', 'wrong'), false);
+
+  // A later room that reuses the code can't add to the old box
+  assert.deepEqual(await store.createBlob('ABC123', 2000, { size: 10 }), { error: 'DROP_BOX_IN_USE' });
+});
+
+test('declared sizes are reserved against the room cap and the global quota', async () => {
+  const store = await createStore();
+  assert.ok((await store.createBlob('ROOM01', 1, { size: 80 })).blob);
+  assert.deepEqual(await store.createBlob('ROOM01', 1, { size: 30 }), { error: 'ROOM_QUOTA_EXCEEDED' });
+  assert.ok((await store.createBlob('ROOM02', 1, { size: 60 })).blob);
+  assert.deepEqual(await store.createBlob('ROOM03', 1, { size: 20 }), { error: 'STORAGE_FULL' });
+});
+
+test('uploads append at the received offset and resume after a break', async () => {
+  const store = await createStore();
+  const { blob, uploadToken, dropKey } = await store.createBlob('ABC123', 1, { size: 10 });
+
+  assert.deepEqual(await store.appendChunk('ABC123', blob.blobId, uploadToken, 0, bytes('hello')), { received: 5, complete: false });
+  assert.deepEqual(await store.appendChunk('ABC123', blob.blobId, uploadToken, 0, bytes('again')), { error: 'OFFSET_MISMATCH', received: 5 });
+  assert.deepEqual(await store.appendChunk('ABC123', blob.blobId, 'wrong', 5, bytes('world')), { error: 'BLOB_NOT_FOUND' });
+  // Incomplete blobs are not offered for download
+  assert.deepEqual(await store.listBlobs('ABC123', dropKey), []);
+
+  assert.deepEqual(await store.appendChunk('ABC123', blob.blobId, uploadToken, 5, bytes('world')), { received: 10, complete: true });
+  assert.deepEqual(await store.appendChunk('ABC123', blob.blobId, uploadToken, 10, bytes('!')), { error: 'ALREADY_COMPLETE', received: 10 });
+  assert.equal(await readAll(store.createReadStream('ABC123', blob.blobId, 0, 9)), 'helloworld');
+});
+
+test('a chunk past the declared size is rejected and cut back to the offset', async () => {
+  const store = await createStore();
+  const { blob, uploadToken } = await store.createBlob('ABC123', 1, { size: 8 });
+  await store.appendChunk('ABC123', blob.blobId, uploadToken, 0, bytes('abcd'));
+
+  assert.deepEqual(await store.appendChunk('ABC123', blob.blobId, uploadToken, 4, bytes('efghij')), { error: 'BLOB_TOO_LARGE', received: 4 });
+  assert.equal((await store.getBlob('ABC123', blob.blobId)).received, 4);
+  assert.deepEqual(await store.appendChunk('ABC123', blob.blobId, uploadToken, 4, bytes('efgh')), { received: 8, complete: true });
+});
+
+test('completed blobs are listed for the drop key and ranges can be read', async () => {
+  const store = await createStore();
+  const { blob, uploadToken, dropKey } = await store.createBlob('ABC123', 1, { size: 6, metadata: 'name' });
+  await store.appendChunk('ABC123', blob.blobId, uploadToken, 0, bytes('abcdef'));
+
+  const listed = await store.listBlobs('ABC123', dropKey);
+  assert.deepEqual(listed.map(({ blobId, size, metadata }) => ({ blobId, size, metadata })), [{ blobId: blob.blobId, size: 6, metadata: 'name' }]);
+  assert.equal(await store.listBlobs('ABC123', 'wrong'), null);
+  assert.equal(await store.listBlobs('../etc', dropKey), null);
+  assert.equal(await readAll(store.createReadStream('ABC123', blob.blobId, 2, 4)), 'cde');
+});
+
+test('deleting the last blob frees its reservation and the box', async () => {
+  const store = await createStore({ maxTotalBytes: 100 });
+  const { blob, dropKey } = await store.createBlob('ABC123', 1, { size: 100 });
+  assert.deepEqual(await store.createBlob('OTHER1', 1, { size: 1 }), { error: 'STORAGE_FULL' });
+
+  assert.equal(await store.deleteBlob('ABC123', blob.blobId), true);
+  assert.equal(await store.deleteBlob('ABC123', blob.blobId), false);
+  assert.equal(await store.verifyDropKey('ABC123', dropKey), false);
+  // The code is free for a new room once its box is gone
+  assert.ok((await store.createBlob('ABC123', 2, { size: 100 })).dropKey);
+});
+
+test('init counts blobs left by an earlier run', async () => {
+  const store = await createStore();
+  await store.createBlob('ABC123', 1, { size: 90 });
+
+  const restarted = createDropStore({ dir: dirs.at(-1), ttlMs: 60000, maxRoomBytes: 100, maxTotalBytes: 150 });
+  await restarted.init();
+  assert.deepEqual(await restarted.createBlob('OTHER1', 1, { size: 70 }), { error: 'STORAGE_FULL' });
+  assert.ok((await restarted.createBlob('OTHER1', 1, { size: 60 })).blob);
+});
+
+test('sweep removes expired blobs', async () => {
+  const store = await createStore({ ttlMs: 20 });
+  const { blob } = await store.createBlob('ABC123', 1, { size: 5 });
+  await sleep(40);
+
+  assert.equal(await store.getBlob('ABC123', blob.blobId), null);
+  assert.equal(await store.sweep(), 1);
+  assert.equal(await store.sweep(), 0);
+});
+
+test('downloads serve ranges and delete the blob once its last byte is sent', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'swoosh-drops-'));
+  dirs.push(dir);
+  const server = await startServer({ DROP_DIR: dir });
+  const host = connect(server);
+
+  try {
+    host.emit('create-room', {});
+    const { roomId, reconnectToken } = await nextEvent(host, 'room-created');
+
+    const created = await fetch(`${server.url}/api/drops/${roomId}`, {
+      method: 'POST',
+      headers: { authorization: `Bearer ${reconnectToken}`, 'content-type': 'application/json' },
+      body: JSON.stringify({ size: 10 })
+    });
+    assert.equal(created.status, 201);
+    const { blobId, uploadToken, dropKey } = await created.json();
+
+    const uploaded = await fetch(`${server.url}/api/drops/${roomId}/${blobId}?offset=0`, {
+      method: 'PUT',
+      headers: { authorization: `Bearer ${uploadToken}`, 'content-type': 'application/octet-stream' },
+      body: 'helloworld'
+    });
+    assert.deepEqual(await uploaded.json(), { roomId, blobId, received: 10, complete: true });
+
+    const download = (range) => fetch(`${server.url}/api/drops/${roomId}/${blobId}`, {
+      headers: { authorization: `Bearer ${dropKey}`, ...(range && { range }) }
+    });
+
+    const partial = await download('bytes=0-4');
+    assert.equal(partial.status, 206);
+    assert.equal(partial.headers.get('content-range'), 'bytes 0-4/10');
+    assert.equal(await partial.text(), 'hello');
+
+    const rest = await download('bytes=5-');
+    assert.equal(rest.status, 206);
+    assert.equal(await rest.text(), 'world');
+
+    // Deletion runs after the response has finished; the box went with its last blob
+    await sleep(200);
+    assert.equal((await download()).status, 403);
+  } finally {
+    host.close();
+    await server.stop();
+  }
+});
@@ -0,0 +1,268 @@
+import net from 'net';
+
+/**
+ * Minimal Redis stand-in for tests
+ *
+ * Speaks enough RESP for ioredis, the room store and the Socket.IO Redis
+ * adapter: strings with expiry, sets, MULTI/EXEC and (p)subscribe/publish.
+ * Everything lives in memory and goes away with close().
+ */
+
+const encode = {
+  simple: (text) => `+${text}\r\n`,
+  error: (text) => `-ERR ${text}\r\n`,
+  integer: (n) => `:${n}\r\n`,
+  bulk: (value) => (value === null || value === undefined
+    ? '$-1\r\n'
+    : `$${Buffer.byteLength(String(value), 'latin1')}\r\n${value}\r\n`),
+  // Items may be pre-encoded replies ({ raw }), integers or bulk strings
+  array: (items) => `*${items.length}\r\n${items.map((item) => {
+    if (item && item.raw !== undefined) return item.raw;
+    if (typeof item === 'number') return encode.integer(item);
+    if (Array.isArray(item)) return encode.array(item);
+    return encode.bulk(item);
+  }).join('')}`
+};
+
+function globToRegExp(pattern) {
+  const escaped = pattern.replace(/[.+^${}()|\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+  return new RegExp(`^${escaped}$`);
+}
+
+// Parse one command off the buffer: { length, args } or null if incomplete
+function parseCommand(buffer) {
+  if (!buffer.length) return null;
+  if (buffer[0] !== 0x2a) {
+    const end = buffer.indexOf('\r\n');
+    if (end < 0) return null;
+    return { length: end + 2, args: buffer.subarray(0, end).toString().split(' ') };
+  }
+
+  let end = buffer.indexOf('\r\n');
+  if (end < 0) return null;
+  const count = Number(buffer.subarray(1, end).toString());
+  let position = end + 2;
+  const args = [];
+  for (let i = 0; i < count; i++) {
+    end = buffer.indexOf('\r\n', position);
+    if (end < 0) return null;
+    const size = Number(buffer.subarray(position + 1, end).toString());
+    if (buffer.length < end + 2 + size + 2) return null;
+    args.push(buffer.subarray(end + 2, end + 2 + size).toString('latin1'));
+    position = end + 2 + size + 2;
+  }
+  return { length: position, args };
+}
+
+export function startFakeRedis({ port = 0 } = {}) {
+  // Map<key, { type: 'string' | 'set', value, expiresAt }>
+  const keys = new Map();
+  const subscribers = new Set();
+  const connections = new Set();
+
+  function read(key) {
+    const entry = keys.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+      keys.delete(key);
+      return null;
+    }
+    return entry;
+  }
+
+  function readSet(key, create = false) {
+    let entry = read(key);
+    if (!entry && create) {
+      entry = { type: 'set', value: new Set(), expiresAt: 0 };
+      keys.set(key, entry);
+    }
+    return entry;
+  }
+
+  function set(args) {
+    const [key, value, ...options] = args;
+    let nx = false;
+    let xx = false;
+    let keepTtl = false;
+    let ttlMs = 0;
+    for (let i = 0; i < options.length; i++) {
+      const option = options[i].toUpperCase();
+      if (option === 'NX') nx = true;
+      else if (option === 'XX') xx = true;
+      else if (option === 'KEEPTTL') keepTtl = true;
+      else if (option === 'PX') ttlMs = Number(options[++i]);
+      else if (option === 'EX') ttlMs = Number(options[++i]) * 1000;
+    }
+
+    const existing = read(key);
+    if ((nx && existing) || (xx && !existing)) return encode.bulk(null);
+    const expiresAt = ttlMs ? Date.now() + ttlMs : (keepTtl && existing ? existing.expiresAt : 0);
+    keys.set(key, { type: 'string', value, expiresAt });
+    return encode.simple('OK');
+  }
+
+  function publish(channel, message) {
+    let receivers = 0;
+    for (const client of subscribers) {
+      if (client.channels.has(channel)) {
+        client.write(encode.array(['message', channel, message]), 'latin1');
+        receivers++;
+      }
+      for (const pattern of client.patterns) {
+        if (globToRegExp(pattern).test(channel)) {
+          client.write(encode.array(['pmessage', pattern, channel, message]), 'latin1');
+          receivers++;
+        }
+      }
+    }
+    return encode.integer(receivers);
+  }
+
+  function subscribe(client, command, names) {
+    const target = command.startsWith('P') ? client.patterns : client.channels;
+    const subscribing = !command.includes('UNSUB');
+    if (subscribing) subscribers.add(client);
+
+    let reply = '';
+    for (const name of names) {
+      if (subscribing) target.add(name);
+      else target.delete(name);
+      reply += encode.array([command.toLowerCase(), name, client.channels.size + client.patterns.size]);
+    }
+    return reply || encode.array([command.toLowerCase(), null, 0]);
+  }
+
+  function execute(client, [name, ...args]) {
+    const command = name.toUpperCase();
+    switch (command) {
+      case 'PING': return encode.simple('PONG');
+      case 'INFO': return encode.bulk('# Server\r\nredis_version:7.0.0\r\nloading:0\r\n');
+      case 'CLIENT':
+      case 'SELECT': return encode.simple('OK');
+      case 'QUIT':
+        setImmediate(() => client.end());
+        return encode.simple('OK');
+      case 'SET': return set(args);
+      case 'GET': return encode.bulk(read(args[0])?.value ?? null);
+      case 'DEL': {
+        let removed = 0;
+        for (const key of args) {
+          if (read(key)) {
+            keys.delete(key);
+            removed++;
+          }
+        }
+        return encode.integer(removed);
+      }
+      case 'EXISTS': return encode.integer(args.filter((key) => read(key)).length);
+      case 'INCR':
+      case 'INCRBY': {
+        const entry = read(args[0]);
+        const value = (entry ? Number(entry.value) : 0) + (command === 'INCR' ? 1 : Number(args[1]));
+        keys.set(args[0], { type: 'string', value: String(value), expiresAt: entry ? entry.expiresAt : 0 });
+        return encode.integer(value);
+      }
+      case 'PEXPIRE': {
+        const entry = read(args[0]);
+        if (!entry) return encode.integer(0);
+        entry.expiresAt = Date.now() + Number(args[1]);
+        return encode.integer(1);
+      }
+      case 'PTTL': {
+        const entry = read(args[0]);
+        if (!entry) return encode.integer(-2);
+        return encode.integer(entry.expiresAt ? entry.expiresAt - Date.now() : -1);
+      }
+      case 'SADD': {
+        const entry = readSet(args[0], true);
+        let added = 0;
+        for (const member of args.slice(1)) {
+          if (!entry.value.has(member)) {
+            entry.value.add(member);
+            added++;
+          }
+        }
+        return encode.integer(added);
+      }
+      case 'SREM': {
+        const entry = readSet(args[0]);
+        if (!entry) return encode.integer(0);
+        let removed = 0;
+        for (const member of args.slice(1)) {
+          if (entry.value.delete(member)) removed++;
+        }
+        // Redis deletes empty sets, and with them their TTL
+        if (!entry.value.size) keys.delete(args[0]);
+        return encode.integer(removed);
+      }
+      case 'SCARD': return encode.integer(readSet(args[0])?.value.size || 0);
+      case 'SISMEMBER': return encode.integer(readSet(args[0])?.value.has(args[1]) ? 1 : 0);
+      case 'SMEMBERS': return encode.array([...(readSet(args[0])?.value || [])]);
+      case 'PUBLISH': return publish(args[0], args[1]);
+      case 'SUBSCRIBE':
+      case 'PSUBSCRIBE':
+      case 'UNSUBSCRIBE':
+      case 'PUNSUBSCRIBE':
+        return subscribe(client, command, args);
+      case 'PUBSUB': {
+        if (args[0].toUpperCase() !== 'NUMSUB') return encode.array([]);
+        const counts = [];
+        for (const channel of args.slice(1)) {
+          counts.push(channel, [...subscribers].filter((subscriber) => subscriber.channels.has(channel)).length);
+        }
+        return encode.array(counts);
+      }
+      default: return encode.error(`unknown command '${name}'`);
+    }
+  }
+
+  const server = net.createServer((client) => {
+    connections.add(client);
+    client.channels = new Set();
+    client.patterns = new Set();
+    let buffer = Buffer.alloc(0);
+    let queued = null;
+
+    client.on('close', () => {
+      subscribers.delete(client);
+      connections.delete(client);
+    });
+    client.on('error', () => {});
+    client.on('data', (data) => {
+      buffer = Buffer.concat([buffer, data]);
+      for (let parsed = parseCommand(buffer); parsed; parsed = parseCommand(buffer)) {
+        buffer = buffer.subarray(parsed.length);
+        const command = parsed.args[0].toUpperCase();
+
+        if (command === 'MULTI') {
+          queued = [];
+          client.write(encode.simple('OK'), 'latin1');
+        } else if (command === 'EXEC' && queued) {
+          const replies = queued.map((args) => ({ raw: execute(client, args) }));
+          queued = null;
+          client.write(encode.array(replies), 'latin1');
+        } else if (queued) {
+          queued.push(parsed.args);
+          client.write(encode.simple('QUEUED'), 'latin1');
+        } else {
+          client.write(execute(client, parsed.args), 'latin1');
+        }
+      }
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(port, '127.0.0.1', () => {
+      resolve({
+        port: server.address().port,
+        url: `redis://127.0.0.1:${server.address().port}`,
+        // Peek at a stored key (tests only): { type, value, expiresAt } or null
+        inspect: (key) => read(key),
+        close: () => new Promise((done) => {
+          for (const connection of connections) connection.destroy();
+          server.close(() => done());
+        })
+      });
+    });
+  });
+}
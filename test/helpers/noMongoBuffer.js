@@ -0,0 +1,5 @@
+// Preloaded into test servers: fail analytics writes at once instead of
+// queueing them for MongoDB, which the tests don't run
+import mongoose from 'mongoose';
+
+mongoose.set('bufferCommands', false);
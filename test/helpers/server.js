@@ -0,0 +1,73 @@
+import { spawn } from 'child_process';
+import { fileURLToPath } from 'url';
+import { io } from 'socket.io-client';
+
+const ROOT = fileURLToPath(new URL('../..', import.meta.url));
+
+/**
+ * Start src/server.js in a child process on a free-ish port and wait until
+ * it listens. MongoDB points at a closed port, so analytics writes fail fast.
+ */
+export function startServer(env = {}) {
+  const port = 20000 + Math.floor(Math.random() * 20000);
+  const child = spawn(process.execPath, ['--import', './test/helpers/noMongoBuffer.js', 'src/server.js'], {
+    cwd: ROOT,
+    env: {
+      ...process.env,
+      NODE_ENV: 'test',
+      PORT: String(port),
+      MONGODB_URI: 'mongodb://127.0.0.1:1/swoosh-test',
+      ...env
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  let output = '';
+  const collect = (chunk) => { output += chunk; };
+  child.stdout.on('data', collect);
+  child.stderr.on('data', collect);
+
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      child.kill();
+      reject(new Error(`Server did not start:\n${output}`));
+    }, 10000);
+
+    child.stdout.on('data', () => {
+      if (!output.includes(`running on port ${port}`)) return;
+      clearTimeout(timer);
+      resolve({
+        port,
+        url: `http://127.0.0.1:${port}`,
+        output: () => output,
+        // SIGKILL simulates a crash: no disconnect handlers run
+        stop: (signal = 'SIGTERM') => new Promise((done) => {
+          if (child.exitCode !== null || child.signalCode !== null) return done();
+          child.once('exit', () => done());
+          child.kill(signal);
+        })
+      });
+    });
+    child.once('exit', (code) => {
+      clearTimeout(timer);
+      reject(new Error(`Server exited with ${code}:\n${output}`));
+    });
+  });
+}
+
+export function connect(server) {
+  return io(server.url, { transports: ['websocket'], forceNew: true, reconnection: false });
+}
+
+// Resolve with the next `event` on a socket, or reject after `timeoutMs`
+export function nextEvent(socket, event, timeoutMs = 5000) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`Timed out waiting for ${event}`)), timeoutMs);
+    socket.once(event, (payload) => {
+      clearTimeout(timer);
+      resolve(payload);
+    });
+  });
+}
+
+export const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createInviteToken, verifyInviteToken } from '../src/utils/invites.js';
+
+// Read on first use, so setting it here is early enough
+process.env.INVITE_SECRET = 'test-invite-secret';
+
+test('a minted token verifies to its room and limits', () => {
+  const createdAt = Date.now();
+  const { token, inviteId, expiresAt } = createInviteToken('ABC123', createdAt, { expiresInSeconds: 60, maxUses: 3 });
+
+  assert.deepEqual(verifyInviteToken(token), {
+    roomId: 'ABC123',
+    roomCreatedAt: createdAt,
+    inviteId,
+    expiresAt,
+    maxUses: 3
+  });
+});
+
+test('each token gets its own invite id', () => {
+  const first = createInviteToken('ABC123', 1, { expiresInSeconds: 60, maxUses: 1 });
+  const second = createInviteToken('ABC123', 1, { expiresInSeconds: 60, maxUses: 1 });
+  assert.notEqual(first.inviteId, second.inviteId);
+});
+
+test('expired tokens are rejected', () => {
+  const { token } = createInviteToken('ABC123', 1, { expiresInSeconds: 0, maxUses: 1 });
+  assert.deepEqual(verifyInviteToken(token), { error: 'INVITE_EXPIRED' });
+});
+
+test('a tampered payload fails the signature check', () => {
+  const { token } = createInviteToken('ABC123', 1, { expiresInSeconds: 60, maxUses: 1 });
+  const [, signature] = token.split('.');
+  const forged = Buffer.from(JSON.stringify({ rid: 'XYZ789', rc: 1, iid: 'x', exp: 9999999999, max: 100 })).toString('base64url');
+
+  assert.deepEqual(verifyInviteToken(`${forged}.${signature}`), { error: 'INVITE_INVALID' });
+  assert.deepEqual(verifyInviteToken(`${token}x`), { error: 'INVITE_INVALID' });
+});
+
+test('malformed tokens are rejected', () => {
+  for (const token of [undefined, 42, '', 'abc', 'a.b.c', '.sig', 'x'.repeat(600)]) {
+    assert.deepEqual(verifyInviteToken(token), { error: 'INVITE_INVALID' }, String(token).slice(0, 20));
+  }
+});
@@ -0,0 +1,132 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, connect, nextEvent, sleep } from './helpers/server.js';
+
+const JOIN_REQUEST_TIMEOUT_MS = 400;
+
+let server;
+const sockets = [];
+
+function client() {
+  const socket = connect(server);
+  sockets.push(socket);
+  return socket;
+}
+
+async function createApprovalRoom(options = {}) {
+  const host = client();
+  host.emit('create-room', { requireApproval: true, ...options });
+  const { roomId, reconnectToken } = await nextEvent(host, 'room-created');
+  return { roomId, host, reconnectToken };
+}
+
+async function createInvite(roomId, reconnectToken, body) {
+  const response = await fetch(`${server.url}/api/rooms/${roomId}/invites`, {
+    method: 'POST',
+    headers: { authorization: `Bearer ${reconnectToken}`, 'content-type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  return (await response.json()).token;
+}
+
+// Join with an invite and wait for the host to see the request
+async function requestWithInvite(host, inviteToken) {
+  const joiner = client();
+  const request = nextEvent(host, 'join-request');
+  joiner.emit('join-room', { inviteToken });
+  await nextEvent(joiner, 'join-pending');
+  await request;
+  return joiner;
+}
+
+// Collect the error codes a socket receives
+function errorCodes(socket) {
+  const codes = [];
+  socket.on('error', ({ code }) => codes.push(code));
+  return codes;
+}
+
+before(async () => {
+  server = await startServer({ JOIN_REQUEST_TIMEOUT_MS: String(JOIN_REQUEST_TIMEOUT_MS) });
+});
+
+after(async () => {
+  for (const socket of sockets) socket.close();
+  await server?.stop();
+});
+
+test('asking again replaces the earlier join request and its timer', async () => {
+  const { roomId, host } = await createApprovalRoom();
+  const joiner = client();
+  const codes = errorCodes(joiner);
+
+  joiner.emit('join-room', roomId);
+  await nextEvent(joiner, 'join-pending');
+  await sleep(JOIN_REQUEST_TIMEOUT_MS / 2);
+
+  const cancelled = nextEvent(host, 'join-request-cancelled');
+  joiner.emit('join-room', roomId);
+  await nextEvent(joiner, 'join-pending');
+  assert.equal((await cancelled).reason, 'replaced');
+
+  // Past the first request's deadline, before the second's
+  await sleep(JOIN_REQUEST_TIMEOUT_MS * 0.75);
+  assert.deepEqual(codes, []);
+
+  await sleep(JOIN_REQUEST_TIMEOUT_MS / 2);
+  assert.deepEqual(codes, ['JOIN_REQUEST_TIMEOUT']);
+});
+
+test('dismissing a room drops its pending join requests', async () => {
+  const { roomId, host } = await createApprovalRoom();
+  const joiner = client();
+  const codes = errorCodes(joiner);
+
+  joiner.emit('join-room', roomId);
+  await nextEvent(joiner, 'join-pending');
+
+  host.emit('close-room');
+  const dismissed = await nextEvent(joiner, 'room-dismissed');
+  assert.equal(dismissed.roomId, roomId);
+
+  await sleep(JOIN_REQUEST_TIMEOUT_MS * 1.5);
+  assert.deepEqual(codes, []);
+});
+
+test('a denied joiner does not use up the invite', async () => {
+  const { roomId, host, reconnectToken } = await createApprovalRoom({ mode: 'broadcast', capacity: 4 });
+  const inviteToken = await createInvite(roomId, reconnectToken, { maxUses: 1 });
+
+  const denied = await requestWithInvite(host, inviteToken);
+  host.emit('deny-join', { userId: denied.id });
+  assert.equal((await nextEvent(denied, 'error')).code, 'JOIN_DENIED');
+
+  const approved = await requestWithInvite(host, inviteToken);
+  host.emit('approve-join', { userId: approved.id });
+  assert.equal((await nextEvent(approved, 'room-joined')).roomId, roomId);
+
+  const late = client();
+  late.emit('join-room', { inviteToken });
+  assert.equal((await nextEvent(late, 'error')).code, 'INVITE_EXHAUSTED');
+});
+
+test('approving a joiner whose invite was used up in the meantime fails', async () => {
+  const { roomId, host, reconnectToken } = await createApprovalRoom({ mode: 'broadcast', capacity: 4 });
+  const inviteToken = await createInvite(roomId, reconnectToken, { maxUses: 1 });
+
+  const first = await requestWithInvite(host, inviteToken);
+  const second = await requestWithInvite(host, inviteToken);
+
+  host.emit('approve-join', { userId: first.id });
+  await nextEvent(first, 'room-joined');
+
+  const hostError = nextEvent(host, 'error');
+  host.emit('approve-join', { userId: second.id });
+  assert.equal((await nextEvent(second, 'error')).code, 'INVITE_EXHAUSTED');
+  assert.deepEqual(await hostError, {
+    code: 'INVITE_EXHAUSTED',
+    roomId,
+    userId: second.id,
+    message: 'Invite link has already been used.'
+  });
+});
@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMemoryStore } from '../src/store/memoryStore.js';
+import { sleep } from './helpers/server.js';
+
+test('rooms track members and socket lookups', async () => {
+  const store = createMemoryStore();
+  assert.equal(await store.createRoom('ABC123', 'host', { capacity: 2 }), true);
+  assert.equal(await store.createRoom('ABC123', 'other'), false);
+
+  assert.equal(await store.addMember('ABC123', 'guest'), 2);
+  assert.deepEqual(await store.getMembers('ABC123'), ['host', 'guest']);
+  assert.equal(await store.getUserRoom('guest'), 'ABC123');
+  assert.equal((await store.getRoomMeta('ABC123')).capacity, 2);
+
+  assert.equal(await store.removeMember('ABC123', 'guest'), 1);
+  assert.equal(await store.getUserRoom('guest'), null);
+  assert.equal(await store.addMember('NOROOM', 'guest'), 0);
+  await store.close();
+});
+
+test('replaceMember moves a seat only if the old socket still holds it', async () => {
+  const store = createMemoryStore();
+  await store.createRoom('ABC123', 'old');
+
+  assert.equal(await store.replaceMember('ABC123', 'old', 'new'), true);
+  assert.deepEqual(await store.getMembers('ABC123'), ['new']);
+  assert.equal(await store.getUserRoom('old'), null);
+  assert.equal(await store.getUserRoom('new'), 'ABC123');
+  assert.equal(await store.replaceMember('ABC123', 'old', 'newer'), false);
+  await store.close();
+});
+
+test('deleteRoom returns the members and clears their lookups', async () => {
+  const store = createMemoryStore();
+  await store.createRoom('ABC123', 'host');
+  await store.addMember('ABC123', 'guest');
+
+  assert.deepEqual(await store.deleteRoom('ABC123'), ['host', 'guest']);
+  assert.equal(await store.roomExists('ABC123'), false);
+  assert.equal(await store.getUserRoom('host'), null);
+  assert.deepEqual(await store.listRooms(), []);
+  await store.close();
+});
+
+test('values expire and counters keep their first TTL', async () => {
+  const store = createMemoryStore();
+  await store.setValue('short', { a: 1 }, 20);
+  await store.setValue('forever', 'x');
+  assert.deepEqual(await store.getValue('short'), { a: 1 });
+
+  assert.equal(await store.incrementValue('count', 20), 1);
+  assert.equal(await store.incrementValue('count', 1000, 5), 6);
+
+  await sleep(40);
+  assert.equal(await store.getValue('short'), null);
+  assert.equal(await store.getValue('count'), null);
+  assert.equal(await store.getValue('forever'), 'x');
+  await store.close();
+});
+
+test('the periodic sweep drops expired values that are never read again', async () => {
+  const store = createMemoryStore({ sweepIntervalMs: 10 });
+  await store.setValue('ice-connected:a:b', true, 5);
+  await store.setValue('kept', true, 60000);
+
+  await sleep(40);
+  assert.equal(store.countValues(), 1);
+  await store.close();
+});
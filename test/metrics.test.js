@@ -0,0 +1,81 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createCounter, createGauge, createHistogram, renderMetrics } from '../src/utils/metrics.js';
+import { startServer, connect, nextEvent } from './helpers/server.js';
+
+// The lines of one metric in the rendered output
+function section(text, name) {
+  return text.split('\n').filter((line) => line.replace(/^# (HELP|TYPE) /, '').startsWith(name));
+}
+
+test('counters render HELP and TYPE lines and escape label values', async () => {
+  const counter = createCounter({ name: 'test_events_total', help: 'Events\nby "kind" \\ path', labelNames: ['kind'] });
+  counter.inc({ kind: 'a"b\\c\nd' });
+  counter.inc({ kind: 'plain' }, 2);
+
+  assert.deepEqual(section(await renderMetrics(), 'test_events_total'), [
+    '# HELP test_events_total Events\\nby "kind" \\\\ path',
+    '# TYPE test_events_total counter',
+    'test_events_total{kind="a\\"b\\\\c\\nd"} 1',
+    'test_events_total{kind="plain"} 2'
+  ]);
+});
+
+test('an unlabelled counter starts at zero', async () => {
+  createCounter({ name: 'test_idle_total', help: 'Never incremented' });
+  assert.deepEqual(section(await renderMetrics(), 'test_idle_total').slice(2), ['test_idle_total 0']);
+});
+
+test('histograms report cumulative buckets, sum and count', async () => {
+  const histogram = createHistogram({ name: 'test_latency_seconds', help: 'Latency', labelNames: ['route'], buckets: [1, 0.1] });
+  histogram.observe({ route: '/a' }, 0.05);
+  histogram.observe({ route: '/a' }, 0.5);
+  histogram.observe({ route: '/a' }, 3);
+
+  assert.deepEqual(section(await renderMetrics(), 'test_latency_seconds'), [
+    '# HELP test_latency_seconds Latency',
+    '# TYPE test_latency_seconds histogram',
+    'test_latency_seconds_bucket{route="/a",le="0.1"} 1',
+    'test_latency_seconds_bucket{route="/a",le="1"} 2',
+    'test_latency_seconds_bucket{route="/a",le="+Inf"} 3',
+    'test_latency_seconds_sum{route="/a"} 3.55',
+    'test_latency_seconds_count{route="/a"} 3'
+  ]);
+});
+
+test('a gauge that fails is left out of the scrape', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  createGauge({ name: 'test_queue_depth', help: 'Depth', collect: async () => [{ labels: { queue: 'q' }, value: 4 }] });
+  createGauge({ name: 'test_broken', help: 'Broken', collect: async () => { throw new Error('down'); } });
+
+  const text = await renderMetrics();
+  assert.ok(text.includes('# TYPE test_queue_depth gauge\ntest_queue_depth{queue="q"} 4\n'));
+  assert.ok(!text.includes('test_broken'));
+});
+
+test('metric names must be unique', () => {
+  assert.throws(() => createCounter({ name: 'test_events_total', help: 'Again' }), /already registered/);
+});
+
+test('/metrics serves the app metrics to the analytics scope', async () => {
+  const server = await startServer({ ADMIN_API_KEYS: 'grafana:scrape-key:analytics' });
+  const host = connect(server);
+  try {
+    host.emit('create-room', {});
+    await nextEvent(host, 'room-created');
+
+    assert.equal((await fetch(`${server.url}/metrics`)).status, 401);
+
+    const response = await fetch(`${server.url}/metrics`, { headers: { authorization: 'Bearer scrape-key' } });
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-type'), /^text\/plain;.*version=0\.0\.4/);
+    const text = await response.text();
+    assert.match(text, /^# TYPE swoosh_rooms_created_total counter$/m);
+    assert.match(text, /^swoosh_rooms_created_total 1$/m);
+    assert.match(text, /^swoosh_active_rooms 1$/m);
+    assert.match(text, /^swoosh_connected_sockets 1$/m);
+  } finally {
+    host.close();
+    await server.stop();
+  }
+});
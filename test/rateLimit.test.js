@@ -0,0 +1,140 @@
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  parseRateLimits,
+  createRateLimiter,
+  getEventClass,
+  getSocketIp,
+  rateLimitEvents,
+  rateLimitHttp
+} from '../src/utils/rateLimit.js';
+
+function fakeSocket({ address = '10.0.0.1', forwardedFor } = {}) {
+  return {
+    id: 'socket-1',
+    handshake: { address, headers: forwardedFor ? { 'x-forwarded-for': forwardedFor } : {} },
+    emitted: [],
+    emit(event, payload) {
+      this.emitted.push([event, payload]);
+    }
+  };
+}
+
+test('limits parse as tokens per interval and malformed entries are skipped', (t) => {
+  const warn = t.mock.method(console, 'warn', () => {});
+  assert.deepEqual(parseRateLimits('create=5/60, join=20/10,bogus,signal=x/1'), {
+    create: { capacity: 5, intervalMs: 60000 },
+    join: { capacity: 20, intervalMs: 10000 }
+  });
+  assert.equal(warn.mock.callCount(), 2);
+});
+
+test('events map to their budget class', () => {
+  assert.equal(getEventClass('rejoin-room'), 'join');
+  assert.equal(getEventClass('ice-candidate'), 'signal');
+  assert.equal(getEventClass('transfer-progress'), 'other');
+});
+
+test('a bucket empties, reports when to retry and refills over time', () => {
+  mock.timers.enable({ apis: ['Date'], now: 0 });
+  try {
+    const limiter = createRateLimiter({ join: { capacity: 2, intervalMs: 1000 } });
+    assert.equal(limiter.consume('join', 'a').allowed, true);
+    assert.equal(limiter.consume('join', 'a').allowed, true);
+    assert.deepEqual(limiter.consume('join', 'a'), { allowed: false, retryAfterMs: 500 });
+    // Buckets are per key
+    assert.equal(limiter.consume('join', 'b').allowed, true);
+
+    mock.timers.tick(500);
+    assert.equal(limiter.consume('join', 'a').allowed, true);
+    assert.equal(limiter.consume('join', 'a').allowed, false);
+  } finally {
+    mock.timers.reset();
+  }
+});
+
+test('cost meters more than one token and unknown classes are unlimited', () => {
+  const limiter = createRateLimiter({ relay: { capacity: 100, intervalMs: 1000 } });
+  assert.equal(limiter.consume('relay', 'room', 60).allowed, true);
+  assert.equal(limiter.consume('relay', 'room', 60).allowed, false);
+  assert.equal(limiter.consume('relay', 'room', 40).allowed, true);
+  assert.deepEqual(limiter.consume('nope', 'room', 1e9), { allowed: true, retryAfterMs: 0 });
+});
+
+test('refunded tokens can be spent again, up to the capacity', () => {
+  const limiter = createRateLimiter({ relay: { capacity: 100, intervalMs: 60000 } });
+  assert.equal(limiter.consume('relay', 'room', 100).allowed, true);
+  limiter.refund('relay', 'room', 60);
+  assert.equal(limiter.consume('relay', 'room', 60).allowed, true);
+  assert.equal(limiter.consume('relay', 'room', 10).allowed, false);
+
+  limiter.refund('relay', 'room', 1000);
+  assert.equal(limiter.consume('relay', 'room', 100).allowed, true);
+  assert.equal(limiter.consume('relay', 'room', 1).allowed, false);
+});
+
+test('client IPs honour the trusted proxy hop count', () => {
+  const socket = fakeSocket({ address: '10.0.0.9', forwardedFor: '1.1.1.1, 2.2.2.2' });
+  assert.equal(getSocketIp(socket), '10.0.0.9');
+  assert.equal(getSocketIp(socket, 1), '2.2.2.2');
+  assert.equal(getSocketIp(socket, 2), '1.1.1.1');
+  assert.equal(getSocketIp(socket, 5), '1.1.1.1');
+});
+
+test('socket events over budget are rejected through the ack or an error event', () => {
+  const limits = { join: { capacity: 1, intervalMs: 60000 } };
+  const socket = fakeSocket();
+  const middleware = rateLimitEvents(socket, {
+    socketLimiter: createRateLimiter(limits),
+    ipLimiter: createRateLimiter(limits),
+    clientIp: '10.0.0.1'
+  });
+
+  let passed = 0;
+  middleware(['join-room', 'ABC123'], () => passed++);
+  assert.equal(passed, 1);
+
+  const replies = [];
+  middleware(['join-room', 'ABC123', (reply) => replies.push(reply)], () => passed++);
+  middleware(['join-room', 'ABC123'], () => passed++);
+  assert.equal(passed, 1);
+
+  assert.equal(replies.length, 1);
+  assert.equal(replies[0].ok, false);
+  assert.equal(replies[0].code, 'RATE_LIMITED');
+  assert.equal(replies[0].event, 'join-room');
+  assert.equal(socket.emitted.length, 1);
+  assert.equal(socket.emitted[0][0], 'error');
+  assert.equal(socket.emitted[0][1].code, 'RATE_LIMITED');
+});
+
+test('the per-IP budget is shared across sockets', () => {
+  const ipLimiter = createRateLimiter({ create: { capacity: 1, intervalMs: 60000 } });
+  const socketLimiter = createRateLimiter({});
+  const first = fakeSocket();
+  const second = { ...fakeSocket(), id: 'socket-2' };
+
+  let passed = 0;
+  rateLimitEvents(first, { socketLimiter, ipLimiter, clientIp: '10.0.0.1' })(['create-room', {}], () => passed++);
+  rateLimitEvents(second, { socketLimiter, ipLimiter, clientIp: '10.0.0.1' })(['create-room', {}], () => passed++);
+  assert.equal(passed, 1);
+  assert.equal(second.emitted[0][1].code, 'RATE_LIMITED');
+});
+
+test('HTTP routes over budget answer 429 with Retry-After', () => {
+  const middleware = rateLimitHttp(createRateLimiter({ http: { capacity: 1, intervalMs: 60000 } }));
+  const response = {
+    headers: {},
+    set(name, value) { this.headers[name] = value; },
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; }
+  };
+
+  let passed = 0;
+  middleware({ ip: '10.0.0.1' }, response, () => passed++);
+  middleware({ ip: '10.0.0.1' }, response, () => passed++);
+  assert.equal(passed, 1);
+  assert.equal(response.statusCode, 429);
+  assert.equal(response.headers['Retry-After'], '60');
+  assert.deepEqual(response.body, { error: 'Too many requests', retryAfter: 60 });
+});
@@ -0,0 +1,117 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, connect, nextEvent, sleep } from './helpers/server.js';
+
+const GRACE_MS = 500;
+
+let server;
+const sockets = [];
+
+function client() {
+  const socket = connect(server);
+  sockets.push(socket);
+  return socket;
+}
+
+// A pair room; returns { roomId, host, guest, guestToken }
+async function pairRoom() {
+  const host = client();
+  host.emit('create-room', {});
+  const { roomId } = await nextEvent(host, 'room-created');
+
+  const guest = client();
+  guest.emit('join-room', roomId);
+  const { reconnectToken } = await nextEvent(guest, 'room-joined');
+  return { roomId, host, guest, guestToken: reconnectToken };
+}
+
+before(async () => {
+  server = await startServer({ RECONNECT_GRACE_MS: String(GRACE_MS) });
+});
+
+after(async () => {
+  for (const socket of sockets) socket.close();
+  await server?.stop();
+});
+
+test('a dropped member reclaims its seat within the grace window', async () => {
+  const { roomId, host, guest, guestToken } = await pairRoom();
+  const previousUserId = guest.id;
+
+  guest.close();
+  const dropped = await nextEvent(host, 'peer-disconnected');
+  assert.deepEqual(dropped, { userId: previousUserId, graceMs: GRACE_MS });
+
+  const returning = client();
+  const hostNotified = nextEvent(host, 'peer-reconnected');
+  returning.emit('rejoin-room', { roomId, reconnectToken: guestToken });
+  const rejoined = await nextEvent(returning, 'room-rejoined');
+  assert.equal(rejoined.previousUserId, previousUserId);
+  assert.deepEqual(rejoined.peers, [host.id]);
+  assert.notEqual(rejoined.reconnectToken, guestToken);
+
+  const reconnected = await hostNotified;
+  assert.equal(reconnected.userId, returning.id);
+  assert.equal(reconnected.previousUserId, previousUserId);
+
+  // The seat stays taken after the grace window would have run out
+  const left = [];
+  host.on('user-left', (payload) => left.push(payload));
+  await sleep(GRACE_MS + 200);
+  assert.deepEqual(left, []);
+});
+
+test('a used token cannot be replayed', async () => {
+  const { roomId, guest, guestToken } = await pairRoom();
+  guest.close();
+
+  const returning = client();
+  returning.emit('rejoin-room', { roomId, reconnectToken: guestToken });
+  await nextEvent(returning, 'room-rejoined');
+
+  const replay = client();
+  replay.emit('rejoin-room', { roomId, reconnectToken: guestToken });
+  assert.equal((await nextEvent(replay, 'error')).code, 'REJOIN_FAILED');
+});
+
+test('unknown and foreign tokens are rejected', async () => {
+  const first = await pairRoom();
+  const second = await pairRoom();
+  second.guest.close();
+
+  const stranger = client();
+  stranger.emit('rejoin-room', { roomId: first.roomId, reconnectToken: 'not-a-token' });
+  assert.equal((await nextEvent(stranger, 'error')).code, 'REJOIN_FAILED');
+
+  // A token only opens the room it was issued for
+  stranger.emit('rejoin-room', { roomId: first.roomId, reconnectToken: second.guestToken });
+  assert.equal((await nextEvent(stranger, 'error')).code, 'REJOIN_FAILED');
+});
+
+test('a connection cannot rejoin with its own token', async () => {
+  const { roomId, host, guest, guestToken } = await pairRoom();
+  const notified = [];
+  host.on('peer-reconnected', () => notified.push('peer-reconnected'));
+
+  guest.emit('rejoin-room', { roomId, reconnectToken: guestToken });
+  const error = await nextEvent(guest, 'error');
+  assert.equal(error.code, 'REJOIN_FAILED');
+  assert.equal(error.message, 'This connection already holds the seat.');
+  assert.equal(guest.connected, true);
+  assert.deepEqual(notified, []);
+});
+
+test('the seat is released once the grace window ends', async () => {
+  const { roomId, host, guest, guestToken } = await pairRoom();
+  const previousUserId = guest.id;
+  guest.close();
+  await nextEvent(host, 'peer-disconnected');
+
+  const left = await nextEvent(host, 'user-left', GRACE_MS + 2000);
+  assert.equal(left.userId, previousUserId);
+  assert.equal(left.occupancy, 1);
+
+  const late = client();
+  late.emit('rejoin-room', { roomId, reconnectToken: guestToken });
+  assert.equal((await nextEvent(late, 'error')).code, 'REJOIN_FAILED');
+});
@@ -0,0 +1,56 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import Redis from 'ioredis';
+import { createRedisStore } from '../src/store/redisStore.js';
+import { startFakeRedis } from './helpers/fakeRedis.js';
+
+let redis;
+let client;
+
+before(async () => {
+  redis = await startFakeRedis();
+  client = new Redis(redis.url);
+});
+
+after(async () => {
+  await client.quit();
+  await redis.close();
+});
+
+test('room, member and socket keys expire with the room TTL', async () => {
+  const store = createRedisStore(client, 'ttl:', { roomTtlMs: 60000 });
+  await store.createRoom('ABC123', 'host');
+  await store.addMember('ABC123', 'guest');
+  await store.updateRoomMeta('ABC123', { creatorId: 'guest' });
+
+  for (const key of ['ttl:room:ABC123:meta', 'ttl:room:ABC123:members', 'ttl:socket:host:room', 'ttl:socket:guest:room']) {
+    const expiresAt = redis.inspect(key)?.expiresAt;
+    assert.ok(expiresAt > Date.now() && expiresAt <= Date.now() + 60000, `${key} expires with the room`);
+  }
+});
+
+test('a members set recreated after emptying gets the room TTL again', async () => {
+  const store = createRedisStore(client, 'refill:', { roomTtlMs: 60000 });
+  await store.createRoom('ABC123', 'host');
+  await store.removeMember('ABC123', 'host');
+  await store.addMember('ABC123', 'guest');
+
+  assert.ok(redis.inspect('refill:room:ABC123:members').expiresAt > 0);
+});
+
+test('listRooms drops rooms whose meta expired from the index', async () => {
+  const store = createRedisStore(client, 'stale:', { roomTtlMs: 20 });
+  await store.createRoom('ABC123', 'host');
+  await new Promise((resolve) => setTimeout(resolve, 40));
+
+  assert.deepEqual(await store.listRooms(), []);
+  assert.equal(redis.inspect('stale:rooms'), null);
+});
+
+test('without a room TTL keys do not expire', async () => {
+  const store = createRedisStore(client, 'plain:');
+  await store.createRoom('ABC123', 'host');
+  assert.equal(redis.inspect('plain:room:ABC123:meta').expiresAt, 0);
+  assert.equal(await store.replaceMember('ABC123', 'host', 'next'), true);
+  assert.equal(await store.getUserRoom('next'), 'ABC123');
+});
@@ -0,0 +1,76 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, connect, nextEvent } from './helpers/server.js';
+
+let server;
+const sockets = [];
+
+function client() {
+  const socket = connect(server);
+  sockets.push(socket);
+  return socket;
+}
+
+// Create a room and admit `guests` more members; returns [roomId, host, ...guests]
+async function fillRoom(options, guests) {
+  const host = client();
+  host.emit('create-room', options);
+  const { roomId } = await nextEvent(host, 'room-created');
+
+  const members = [host];
+  for (let i = 0; i < guests; i++) {
+    const guest = client();
+    guest.emit('join-room', roomId);
+    await nextEvent(guest, 'room-joined');
+    members.push(guest);
+  }
+  return [roomId, ...members];
+}
+
+before(async () => {
+  server = await startServer();
+});
+
+after(async () => {
+  for (const socket of sockets) socket.close();
+  await server?.stop();
+});
+
+test('an untargeted offer reaches the other member of a pair room', async () => {
+  const [roomId, host, guest] = await fillRoom({}, 1);
+
+  guest.emit('offer', { roomId, offer: { type: 'offer', sdp: 'v=0' } });
+  const offer = await nextEvent(host, 'offer');
+  assert.equal(offer.fromId, guest.id);
+});
+
+test('an untargeted offer is rejected in a room of more than two', async () => {
+  const [roomId, host, guest, third] = await fillRoom({ mode: 'broadcast', capacity: 4 }, 2);
+  const received = [];
+  host.on('offer', () => received.push('host'));
+  third.on('offer', () => received.push('third'));
+
+  guest.emit('offer', { roomId, offer: { type: 'offer', sdp: 'v=0' } });
+  const error = await nextEvent(guest, 'error');
+  assert.equal(error.code, 'PEER_NOT_FOUND');
+  assert.equal(error.event, 'offer');
+
+  guest.emit('offer', { roomId, targetId: third.id, offer: { type: 'offer', sdp: 'v=0' } });
+  const offer = await nextEvent(third, 'offer');
+  assert.equal(offer.fromId, guest.id);
+  assert.deepEqual(received, ['third'], 'only the targeted offer is delivered');
+});
+
+test('a signaling event for another room is rejected through its ack', async () => {
+  const [roomId] = await fillRoom({}, 0);
+  const outsider = client();
+  await nextEvent(outsider, 'connect');
+
+  const reply = await outsider.timeout(5000).emitWithAck('offer', { roomId, offer: { type: 'offer', sdp: 'v=0' } });
+  assert.deepEqual(reply, {
+    ok: false,
+    code: 'NOT_IN_ROOM',
+    event: 'offer',
+    message: 'You are not a member of this room.'
+  });
+});
@@ -0,0 +1,75 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  isValidTimeZone,
+  getAnalyticsTimeZone,
+  zonedParts,
+  startOfDay,
+  parseDateParam
+} from '../src/utils/timeZones.js';
+
+function withEnv(env, fn) {
+  const saved = Object.fromEntries(Object.keys(env).map((name) => [name, process.env[name]]));
+  const assign = (values) => {
+    for (const [name, value] of Object.entries(values)) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+  };
+  assign(env);
+  try {
+    fn();
+  } finally {
+    assign(saved);
+  }
+}
+
+test('IANA zones are recognised', () => {
+  assert.equal(isValidTimeZone('Europe/Berlin'), true);
+  assert.equal(isValidTimeZone('UTC'), true);
+  assert.equal(isValidTimeZone('Mars/Olympus'), false);
+  assert.equal(isValidTimeZone(''), false);
+  assert.equal(isValidTimeZone(undefined), false);
+});
+
+test('the analytics zone defaults to the server zone and ignores invalid values', () => {
+  withEnv({ ANALYTICS_TIMEZONE: undefined, TZ: 'Asia/Tokyo' }, () => {
+    assert.equal(getAnalyticsTimeZone(), 'Asia/Tokyo');
+  });
+  withEnv({ ANALYTICS_TIMEZONE: 'America/New_York' }, () => {
+    assert.equal(getAnalyticsTimeZone(), 'America/New_York');
+  });
+  withEnv({ ANALYTICS_TIMEZONE: 'Not/AZone' }, () => {
+    assert.equal(getAnalyticsTimeZone(), 'UTC');
+  });
+});
+
+test('zonedParts gives the wall-clock time in a zone', () => {
+  assert.deepEqual(zonedParts(new Date('2026-01-15T23:30:00Z'), 'Europe/Berlin'), {
+    year: 2026, month: 1, day: 16, hour: 0, minute: 30, second: 0
+  });
+});
+
+test('startOfDay finds local midnight, including on DST days', () => {
+  assert.equal(startOfDay(new Date('2026-01-15T23:30:00Z'), 'Europe/Berlin').toISOString(), '2026-01-15T23:00:00.000Z');
+  assert.equal(startOfDay(new Date('2026-07-01T12:00:00Z'), 'Europe/Berlin').toISOString(), '2026-06-30T22:00:00.000Z');
+  // Clocks go forward at 02:00 on 2026-03-29; midnight is still at +01:00
+  assert.equal(startOfDay(new Date('2026-03-29T20:00:00Z'), 'Europe/Berlin').toISOString(), '2026-03-28T23:00:00.000Z');
+  // Clocks go back at 03:00 on 2026-10-25; midnight is still at +02:00
+  assert.equal(startOfDay(new Date('2026-10-25T20:00:00Z'), 'Europe/Berlin').toISOString(), '2026-10-24T22:00:00.000Z');
+  assert.equal(startOfDay(new Date('2026-01-15T23:30:00Z'), 'UTC').toISOString(), '2026-01-15T00:00:00.000Z');
+});
+
+test('date parameters parse as zoned midnights or exact instants', () => {
+  assert.equal(parseDateParam('2026-01-31', 'Europe/Berlin').toISOString(), '2026-01-30T23:00:00.000Z');
+  assert.equal(parseDateParam('2026-01-31', 'Europe/Berlin', { endOfDay: true }).toISOString(), '2026-01-31T23:00:00.000Z');
+  // endOfDay rolls over month ends
+  assert.equal(parseDateParam('2026-12-31', 'UTC', { endOfDay: true }).toISOString(), '2027-01-01T00:00:00.000Z');
+  assert.equal(parseDateParam('2026-01-31T10:00:00Z', 'Europe/Berlin').toISOString(), '2026-01-31T10:00:00.000Z');
+});
+
+test('invalid date parameters are rejected', () => {
+  for (const value of ['2026-02-30', '2026-13-01', 'yesterday', '', undefined]) {
+    assert.equal(parseDateParam(value, 'UTC'), null, String(value));
+  }
+});
@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TRANSFER_STATUSES, OPEN_STATUSES, canTransition, allowedSources } from '../src/utils/transferLifecycle.js';
+
+const END_STATES = TRANSFER_STATUSES.filter((status) => !OPEN_STATUSES.includes(status));
+
+test('open sessions can move forward, pause and resume', () => {
+  assert.equal(canTransition('initiated', 'transferring'), true);
+  assert.equal(canTransition('transferring', 'paused'), true);
+  assert.equal(canTransition('paused', 'transferring'), true);
+  assert.equal(canTransition('initiated', 'completed'), true);
+});
+
+test('sessions cannot go back to initiated or pause before starting', () => {
+  for (const from of TRANSFER_STATUSES) {
+    assert.equal(canTransition(from, 'initiated'), false, from);
+  }
+  assert.equal(canTransition('initiated', 'paused'), false);
+});
+
+test('every open status can end, and end states are final', () => {
+  for (const from of OPEN_STATUSES) {
+    for (const to of END_STATES) assert.equal(canTransition(from, to), true, `${from} -> ${to}`);
+  }
+  for (const from of END_STATES) {
+    for (const to of TRANSFER_STATUSES) assert.equal(canTransition(from, to), false, `${from} -> ${to}`);
+  }
+});
+
+test('a status never transitions to itself', () => {
+  for (const status of TRANSFER_STATUSES) assert.equal(canTransition(status, status), false, status);
+});
+
+test('unknown statuses have no transitions', () => {
+  assert.equal(canTransition('bogus', 'completed'), false);
+  assert.equal(canTransition('initiated', 'bogus'), false);
+  assert.deepEqual(allowedSources('bogus'), []);
+});
+
+test('allowedSources lists the statuses a move may start from', () => {
+  assert.deepEqual(allowedSources('completed'), OPEN_STATUSES);
+  assert.deepEqual(allowedSources('paused'), ['transferring']);
+  assert.deepEqual(allowedSources('transferring'), ['initiated', 'paused']);
+  assert.deepEqual(allowedSources('initiated'), []);
+});
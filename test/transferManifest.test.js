@@ -0,0 +1,88 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMemoryStore } from '../src/store/memoryStore.js';
+import {
+  normalizeRanges,
+  saveManifest,
+  getManifest,
+  recordCheckpoint,
+  describeResumeState
+} from '../src/utils/transferManifest.js';
+
+const KB = 1024;
+
+function saveExample(store) {
+  return saveManifest(store, {
+    roomId: 'ABC123',
+    sessionId: 's1',
+    senderId: 'sender',
+    chunkSize: 64 * KB,
+    files: [
+      { name: 'a.bin', size: 256 * KB, hash: 'abc', hashAlgorithm: 'SHA-256' },
+      { name: 'b.bin', size: 100 * KB }
+    ]
+  });
+}
+
+test('ranges are clamped, sorted and merged', () => {
+  assert.deepEqual(normalizeRanges([[8, 12], [-2, 3], [3, 5], [6, 7], [7, 8]], 10), [[0, 5], [6, 10]]);
+  assert.deepEqual(normalizeRanges([[4, 4], [12, 20]], 10), []);
+});
+
+test('a saved manifest splits files into chunks', async () => {
+  const store = createMemoryStore();
+  const saved = await saveExample(store);
+
+  assert.equal(saved.status, 'initiated');
+  assert.deepEqual(saved.files.map((file) => file.chunkCount), [4, 2]);
+  assert.deepEqual(await getManifest(store, 's1'), saved);
+  assert.equal(await getManifest(store, 'other'), null);
+  await store.close();
+});
+
+test('checkpoints merge into the completed ranges of one file', async () => {
+  const store = createMemoryStore();
+  await saveExample(store);
+
+  await recordCheckpoint(store, 's1', 0, [[0, 1]]);
+  await recordCheckpoint(store, 's1', 0, [[1, 2], [3, 9]]);
+  const manifest = await getManifest(store, 's1');
+  assert.deepEqual(manifest.files[0].completed, [[0, 2], [3, 4]]);
+  assert.deepEqual(manifest.files[1].completed, []);
+
+  // Unknown files leave the manifest alone
+  await recordCheckpoint(store, 's1', 5, [[0, 1]]);
+  assert.deepEqual(await getManifest(store, 's1'), manifest);
+  await store.close();
+});
+
+test('concurrent checkpoints for a session are all kept', async () => {
+  const store = createMemoryStore();
+  await saveExample(store);
+
+  await Promise.all([0, 1, 2, 3].map((chunk) => recordCheckpoint(store, 's1', 0, [[chunk, chunk + 1]])));
+  assert.deepEqual((await getManifest(store, 's1')).files[0].completed, [[0, 4]]);
+  await store.close();
+});
+
+test('resume state lists missing chunks and the bytes still to send', async () => {
+  const store = createMemoryStore();
+  await saveExample(store);
+  await recordCheckpoint(store, 's1', 0, [[0, 2]]);
+  await recordCheckpoint(store, 's1', 1, [[0, 1]]);
+
+  const info = describeResumeState('s1', await getManifest(store, 's1'));
+  assert.equal(info.sessionId, 's1');
+  assert.equal(info.roomId, 'ABC123');
+  assert.deepEqual(info.files.map((file) => file.missingChunks), [[[2, 4]], [[1, 2]]]);
+  // Two full chunks of a.bin plus the 36 KB tail of b.bin
+  assert.equal(info.bytesRemaining, 2 * 64 * KB + 36 * KB);
+  assert.equal(info.complete, false);
+
+  await recordCheckpoint(store, 's1', 0, [[2, 4]]);
+  await recordCheckpoint(store, 's1', 1, [[1, 2]]);
+  const done = describeResumeState('s1', await getManifest(store, 's1'));
+  assert.equal(done.bytesRemaining, 0);
+  assert.equal(done.complete, true);
+  await store.close();
+});
@@ -0,0 +1,134 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, connect, nextEvent, sleep } from './helpers/server.js';
+
+let server;
+const sockets = [];
+
+function client() {
+  const socket = connect(server);
+  sockets.push(socket);
+  return socket;
+}
+
+async function createRoom() {
+  const host = client();
+  host.emit('create-room', {});
+  const { roomId } = await nextEvent(host, 'room-created');
+  return { roomId, host };
+}
+
+async function createPair() {
+  const { roomId, host } = await createRoom();
+  const guest = client();
+  guest.emit('join-room', roomId);
+  await nextEvent(guest, 'room-joined');
+  return { roomId, host, guest };
+}
+
+function relayChunk(socket, payload) {
+  return socket.timeout(5000).emitWithAck('relay-chunk', payload);
+}
+
+async function completedTransfers() {
+  const text = await (await fetch(`${server.url}/metrics`)).text();
+  return Number(text.match(/^swoosh_transfers_total\{outcome="completed"\} (\d+)$/m)?.[1] || 0);
+}
+
+// transfer-start is handled asynchronously; poll until its manifest is stored
+async function resumeInfo(socket, roomId, sessionId) {
+  for (let attempt = 0; attempt < 50; attempt++) {
+    const info = await socket.timeout(5000).emitWithAck('transfer-resume-info', { roomId, sessionId });
+    if (!info.error) return info;
+    await sleep(20);
+  }
+  throw new Error(`No manifest for ${sessionId}`);
+}
+
+const manifest = { chunkSize: 64 * 1024, files: [{ name: 'a.bin', size: 1024 * 1024 }] };
+
+before(async () => {
+  server = await startServer({
+    RELAY_MAX_BYTES_PER_ROOM: '1000',
+    RELAY_ACK_TIMEOUT_MS: '200',
+    METRICS_PUBLIC: 'true',
+    PROGRESS_BROADCAST_INTERVAL_MS: '60000'
+  });
+});
+
+after(async () => {
+  for (const socket of sockets) socket.close();
+  await server?.stop();
+});
+
+test('a session of another room is rejected, not updated', async () => {
+  const first = await createRoom();
+  const second = await createRoom();
+  const sessionId = 'session-cross-room';
+
+  first.host.emit('transfer-start', { roomId: first.roomId, sessionId, manifest });
+  assert.equal((await resumeInfo(first.host, first.roomId, sessionId)).status, 'transferring');
+
+  second.host.emit('transfer-paused', { roomId: second.roomId, sessionId });
+  const error = await nextEvent(second.host, 'error');
+  assert.equal(error.code, 'SESSION_NOT_FOUND');
+  assert.equal(error.event, 'transfer-paused');
+
+  assert.equal((await resumeInfo(first.host, first.roomId, sessionId)).status, 'transferring');
+});
+
+test('relay chunks that are not delivered do not use up the room quota', async () => {
+  const { roomId, host, guest } = await createPair();
+  const chunk = { roomId, sessionId: 'session-relay-quota', data: Buffer.alloc(600) };
+
+  // No relay-chunk listener yet, so the receiver never acks
+  const timedOut = await relayChunk(host, { ...chunk, seq: 0 });
+  assert.equal(timedOut.code, 'RELAY_TIMEOUT');
+
+  guest.on('relay-chunk', (payload, ack) => ack());
+  assert.deepEqual(await relayChunk(host, { ...chunk, seq: 0 }), { ok: true, seq: 0 });
+
+  const over = await relayChunk(host, { ...chunk, seq: 1 });
+  assert.equal(over.code, 'RELAY_QUOTA_EXCEEDED');
+  // The rejected chunk is not charged either, so a smaller one still fits
+  assert.deepEqual(await relayChunk(host, { ...chunk, seq: 1, data: Buffer.alloc(400) }), { ok: true, seq: 1 });
+});
+
+test('a relayed session reported complete twice is counted once', async () => {
+  const { roomId, host, guest } = await createPair();
+  const sessionId = 'session-relay-count';
+  guest.on('relay-chunk', (payload, ack) => ack());
+
+  host.emit('transfer-start', { roomId, sessionId, manifest });
+  await resumeInfo(host, roomId, sessionId);
+  const before = await completedTransfers();
+
+  assert.deepEqual(await relayChunk(host, { roomId, sessionId, seq: 0, data: Buffer.alloc(100), final: true }), { ok: true, seq: 0 });
+  guest.emit('transfer-complete', { roomId, sessionId });
+
+  // transfer-complete is handled asynchronously; wait for its manifest update
+  for (let attempt = 0; attempt < 50; attempt++) {
+    if ((await resumeInfo(host, roomId, sessionId)).status === 'completed') break;
+    await sleep(20);
+  }
+  assert.equal((await resumeInfo(host, roomId, sessionId)).status, 'completed');
+  assert.equal(await completedTransfers(), before + 1);
+});
+
+test('progress from two members of a session is throttled separately', async () => {
+  const { roomId, host, guest } = await createPair();
+  const sessionId = 'session-progress';
+  const updates = [];
+  host.on('transfer-progress-update', (update) => updates.push(update.fromId));
+
+  host.emit('transfer-progress', { roomId, sessionId, bytesTransferred: 10, percentage: 10 });
+  await nextEvent(host, 'transfer-progress-update');
+  guest.emit('transfer-progress', { roomId, sessionId, bytesTransferred: 10, percentage: 10 });
+  await nextEvent(host, 'transfer-progress-update');
+  // Within the interval for the host, so dropped
+  host.emit('transfer-progress', { roomId, sessionId, bytesTransferred: 20, percentage: 20 });
+  guest.emit('transfer-progress', { roomId, sessionId, bytesTransferred: 100, percentage: 100 });
+  await nextEvent(host, 'transfer-progress-update');
+
+  assert.deepEqual(updates, [host.id, guest.id, guest.id]);
+});
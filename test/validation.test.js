@@ -0,0 +1,93 @@
+import './helpers/noMongoBuffer.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validatePayload, validateEvents } from '../src/utils/validation.js';
+
+// Socket stand-in recording emitted events
+function fakeSocket() {
+  return {
+    id: 'socket-1',
+    emitted: [],
+    emit(event, payload) {
+      this.emitted.push([event, payload]);
+    }
+  };
+}
+
+test('valid payloads and events without a schema pass', () => {
+  assert.deepEqual(validatePayload('offer', { roomId: 'ABC123', offer: { type: 'offer', sdp: 'v=0' } }), []);
+  assert.deepEqual(validatePayload('join-room', 'ABC123'), []);
+  assert.deepEqual(validatePayload('create-room', null), []);
+  assert.deepEqual(validatePayload('no-such-event', 42), []);
+});
+
+test('missing, mistyped and malformed fields are reported by path', () => {
+  assert.deepEqual(validatePayload('offer', undefined), [{ field: 'payload', message: 'is required' }]);
+  assert.deepEqual(validatePayload('rejoin-room', { roomId: 'abc', reconnectToken: 7 }), [
+    { field: 'roomId', message: 'has an invalid format' },
+    { field: 'reconnectToken', message: 'must be string' }
+  ]);
+  assert.deepEqual(validatePayload('create-room', { capacity: 1.5, mode: 'mesh' }), [
+    { field: 'capacity', message: 'must be integer' },
+    { field: 'mode', message: 'must be one of: pair, broadcast' }
+  ]);
+});
+
+test('oneOf requires exactly one of the alternatives', () => {
+  const both = validatePayload('offer', { roomId: 'ABC123', offer: 'v=0', envelope: 'sealed' });
+  const neither = validatePayload('offer', { roomId: 'ABC123' });
+  assert.deepEqual(both, [{ field: 'payload', message: 'must have exactly one of: offer, envelope' }]);
+  assert.deepEqual(neither, both);
+});
+
+test('array items and size caps are checked', () => {
+  const details = validatePayload('transfer-checkpoint', {
+    roomId: 'ABC123',
+    sessionId: 's1',
+    fileIndex: 0,
+    ranges: [[0, 4], [5], [-1, 2]]
+  });
+  assert.deepEqual(details, [
+    { field: 'ranges[1]', message: 'must have at least 2 items' },
+    { field: 'ranges[2][0]', message: 'must be >= 0' }
+  ]);
+
+  const chunk = validatePayload('relay-chunk', { roomId: 'ABC123', sessionId: 's1', seq: 0, data: Buffer.alloc(64 * 1024 + 1) });
+  assert.deepEqual(chunk, [{ field: 'data', message: 'must be at most 65536 bytes' }]);
+});
+
+test('validateEvents passes valid events on', () => {
+  const socket = fakeSocket();
+  let passed = false;
+  validateEvents(socket)(['join-room', 'ABC123'], () => { passed = true; });
+  assert.equal(passed, true);
+  assert.deepEqual(socket.emitted, []);
+});
+
+test('validateEvents answers rejected events through the ack when there is one', () => {
+  const socket = fakeSocket();
+  const replies = [];
+  validateEvents(socket)(['room-message', { roomId: 'ABC123', text: ' ' }, (reply) => replies.push(reply)], () => {
+    assert.fail('invalid event was passed on');
+  });
+
+  assert.deepEqual(replies, [{
+    ok: false,
+    code: 'VALIDATION_FAILED',
+    event: 'room-message',
+    message: 'Invalid payload for "room-message".',
+    details: [{ field: 'text', message: 'has an invalid format' }]
+  }]);
+  assert.deepEqual(socket.emitted, []);
+});
+
+test('validateEvents emits an error for rejected events without an ack', () => {
+  const socket = fakeSocket();
+  validateEvents(socket)(['join-room', 'nope'], () => assert.fail('invalid event was passed on'));
+
+  assert.equal(socket.emitted.length, 1);
+  const [event, error] = socket.emitted[0];
+  assert.equal(event, 'error');
+  assert.equal(error.code, 'VALIDATION_FAILED');
+  assert.equal(error.ok, undefined);
+});